@@ -0,0 +1,89 @@
+import axios from 'axios';
+
+function normalizeResponse(response, ok) {
+    return {
+        ok,
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers || {},
+        url: response.request && response.request.responseURL,
+        body: response.data,
+    };
+}
+
+export default async function axiosAdapter(request) {
+    const {
+        method,
+        url,
+        query,
+        headers,
+        body,
+        withCredentials,
+        responseType,
+        onUploadProgress,
+        signal,
+    } = request;
+
+    const axiosOptions = {};
+    if (headers) {
+        axiosOptions.headers = headers;
+    }
+    if (withCredentials) {
+        axiosOptions.withCredentials = withCredentials;
+    }
+    if (query) {
+        axiosOptions.params = query;
+    }
+    if (responseType) {
+        axiosOptions.responseType = responseType;
+    }
+    if (onUploadProgress) {
+        axiosOptions.onUploadProgress = event =>
+            onUploadProgress({ loaded: event.loaded, total: event.total });
+    }
+    let onAbort;
+    if (signal) {
+        const source = axios.CancelToken.source();
+        onAbort = () => source.cancel();
+        if (signal.aborted) {
+            onAbort();
+        } else {
+            signal.addEventListener('abort', onAbort);
+        }
+        axiosOptions.cancelToken = source.token;
+    }
+
+    let response;
+    try {
+        switch (method) {
+            case 'get':
+                response = await axios.get(url, axiosOptions);
+                break;
+            case 'delete':
+                response = await axios.delete(url, axiosOptions);
+                break;
+            case 'post':
+                response = await axios.post(url, body, axiosOptions);
+                break;
+            case 'put':
+                response = await axios.put(url, body, axiosOptions);
+                break;
+            case 'patch':
+                response = await axios.patch(url, body, axiosOptions);
+                break;
+            default:
+                throw new Error(`Invalid method ${method}`);
+        }
+    } catch (err) {
+        if (err.response) {
+            return normalizeResponse(err.response, false);
+        }
+        throw err;
+    } finally {
+        if (onAbort) {
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    return normalizeResponse(response, true);
+}
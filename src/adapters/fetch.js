@@ -0,0 +1,124 @@
+import { ParseError } from '../errors';
+import { hasHeader } from '../headers';
+
+function buildQueryString(query) {
+    const parts = [];
+    Object.keys(query).forEach(key => {
+        const value = query[key];
+        if (value === undefined) {
+            return;
+        }
+        const values = Array.isArray(value) ? value : [value];
+        values.forEach(item => {
+            parts.push(`${encodeURIComponent(key)}=${encodeURIComponent(item)}`);
+        });
+    });
+    return parts.join('&');
+}
+
+function appendQuery(url, query) {
+    const queryString = query ? buildQueryString(query) : '';
+    if (!queryString) {
+        return url;
+    }
+    return `${url}${url.indexOf('?') === -1 ? '?' : '&'}${queryString}`;
+}
+
+function headersToObject(headers) {
+    const result = {};
+    if (headers && typeof headers.forEach === 'function') {
+        headers.forEach((value, key) => {
+            result[key.toLowerCase()] = value;
+        });
+    }
+    return result;
+}
+
+function parseJson(text, response) {
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        // The response arrived, so a malformed body must not look like a network failure
+        throw new ParseError(err.message, {
+            cause: err,
+            status: response.status,
+            body: text,
+            url: response.url,
+        });
+    }
+}
+
+async function readBody(response, headers, responseType) {
+    switch (responseType) {
+        case 'text':
+            return response.text();
+        case 'blob':
+            return response.blob();
+        case 'arraybuffer':
+            return response.arrayBuffer();
+        case 'stream':
+            return response.body;
+        default:
+            break;
+    }
+    const text = await response.text();
+    const contentType = headers['content-type'] || '';
+    if (contentType.indexOf('json') !== -1) {
+        return text ? parseJson(text, response) : undefined;
+    }
+    return text;
+}
+
+export function createFetchAdapter(fetchImpl) {
+    return async function fetchAdapter(request) {
+        const {
+            method,
+            url,
+            query,
+            headers,
+            body,
+            bodyType,
+            withCredentials,
+            responseType,
+            signal,
+        } = request;
+        const doFetch = fetchImpl || (typeof fetch === 'function' ? fetch : undefined);
+        if (!doFetch) {
+            throw new Error(
+                'fetch is not available, provide an implementation to createFetchAdapter()'
+            );
+        }
+
+        const init = {
+            method: method.toUpperCase(),
+            headers: { ...headers },
+        };
+        if (withCredentials) {
+            init.credentials = 'include';
+        }
+        if (signal) {
+            init.signal = signal;
+        }
+        if (body !== undefined && bodyType && bodyType !== 'json') {
+            init.body = body;
+        } else if (body !== undefined) {
+            init.body = JSON.stringify(body);
+            if (!hasHeader(init.headers, 'Content-Type')) {
+                init.headers['Content-Type'] = 'application/json';
+            }
+        }
+
+        const response = await doFetch(appendQuery(url, query), init);
+        const responseHeaders = headersToObject(response.headers);
+        return {
+            ok: response.ok,
+            status: response.status,
+            statusText: response.statusText,
+            headers: responseHeaders,
+            url: response.url,
+            body: await readBody(response, responseHeaders, responseType),
+        };
+    };
+}
+
+export const fetchAdapter = createFetchAdapter();
@@ -0,0 +1,153 @@
+import { createFetchAdapter } from './fetch';
+import { createResource } from '../create-resource';
+import { ParseError } from '../errors';
+
+function createFetchMock({ status = 200, statusText = 'OK', headers = {}, text = '' } = {}) {
+    return jest.fn(url =>
+        Promise.resolve({
+            ok: status >= 200 && status < 300,
+            status,
+            statusText,
+            url,
+            headers: {
+                forEach: callback =>
+                    Object.keys(headers).forEach(key => callback(headers[key], key)),
+            },
+            text: () => Promise.resolve(text),
+            blob: () => Promise.resolve('blob'),
+            arrayBuffer: () => Promise.resolve('arraybuffer'),
+            body: 'stream',
+        })
+    );
+}
+
+describe('Fetch Adapter Test', () => {
+    it('should append query params to the url', async () => {
+        const fetchMock = createFetchMock();
+        const adapter = createFetchAdapter(fetchMock);
+
+        await adapter({ method: 'get', url: 'http://example.com/api', query: { a: 1, b: [2, 3] } });
+
+        expect(fetchMock).toHaveBeenCalledWith('http://example.com/api?a=1&b=2&b=3', {
+            method: 'GET',
+            headers: {},
+        });
+    });
+
+    it('should send json body with credentials', async () => {
+        const fetchMock = createFetchMock();
+        const adapter = createFetchAdapter(fetchMock);
+
+        await adapter({
+            method: 'post',
+            url: 'http://example.com/api',
+            headers: { 'x-token': '1234' },
+            body: { a: 1 },
+            withCredentials: true,
+        });
+
+        expect(fetchMock).toHaveBeenCalledWith('http://example.com/api', {
+            method: 'POST',
+            headers: { 'x-token': '1234', 'Content-Type': 'application/json' },
+            body: '{"a":1}',
+            credentials: 'include',
+        });
+    });
+
+    it('should send encoded bodies as is', async () => {
+        const fetchMock = createFetchMock();
+        const adapter = createFetchAdapter(fetchMock);
+
+        await adapter({
+            method: 'post',
+            url: 'http://example.com/api',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: 'a=1&b=2',
+            bodyType: 'form',
+        });
+
+        expect(fetchMock).toHaveBeenCalledWith('http://example.com/api', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: 'a=1&b=2',
+        });
+    });
+
+    it('should normalize json responses', async () => {
+        const adapter = createFetchAdapter(
+            createFetchMock({
+                status: 404,
+                statusText: 'Not Found',
+                headers: { 'Content-Type': 'application/json' },
+                text: '{"error":"missing"}',
+            })
+        );
+
+        const response = await adapter({ method: 'get', url: 'http://example.com/api' });
+
+        expect(response).toEqual({
+            ok: false,
+            status: 404,
+            statusText: 'Not Found',
+            headers: { 'content-type': 'application/json' },
+            url: 'http://example.com/api',
+            body: { error: 'missing' },
+        });
+    });
+
+    it('should return text bodies as is', async () => {
+        const adapter = createFetchAdapter(createFetchMock({ text: 'hello' }));
+
+        const response = await adapter({ method: 'get', url: 'http://example.com/api' });
+
+        expect(response.body).toEqual('hello');
+    });
+
+    it('should read the body according to responseType', async () => {
+        const adapter = createFetchAdapter(
+            createFetchMock({ headers: { 'content-type': 'application/json' }, text: '{}' })
+        );
+        const request = { method: 'get', url: 'http://example.com/api' };
+
+        expect((await adapter({ ...request, responseType: 'text' })).body).toEqual('{}');
+        expect((await adapter({ ...request, responseType: 'blob' })).body).toEqual('blob');
+        expect((await adapter({ ...request, responseType: 'arraybuffer' })).body).toEqual(
+            'arraybuffer'
+        );
+        expect((await adapter({ ...request, responseType: 'stream' })).body).toEqual('stream');
+        expect((await adapter(request)).body).toEqual({});
+    });
+
+    it('should be the default adapter of resources', async () => {
+        global.fetch = createFetchMock({
+            headers: { 'content-type': 'application/json' },
+            text: '{"a":1}',
+        });
+
+        const result = await createResource('get', 'http://example.com/api').call();
+
+        expect(result).toEqual({ a: 1 });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        delete global.fetch;
+    });
+
+    it('should throw ParseError for a malformed json body without retrying', async () => {
+        const fetchMock = createFetchMock({
+            status: 201,
+            headers: { 'content-type': 'application/json' },
+            text: '{"a":',
+        });
+        const resource = createResource('post', 'http://example.com/api', {
+            adapter: createFetchAdapter(fetchMock),
+            retry: { methods: ['post'], delay: 0 },
+        });
+
+        const promise = resource.call();
+
+        await expect(promise).rejects.toBeInstanceOf(ParseError);
+        await expect(promise).rejects.toEqual(
+            expect.objectContaining({ status: 201, body: '{"a":' })
+        );
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,2 @@
+export { createFetchAdapter, fetchAdapter } from './fetch';
+export { createMemoryAdapter } from './memory';
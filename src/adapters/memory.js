@@ -0,0 +1,29 @@
+function createResponse({ status = 200, statusText = '', headers = {}, body } = {}) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        statusText,
+        headers,
+        body,
+    };
+}
+
+export function createMemoryAdapter(routes = {}) {
+    return async function memoryAdapter(request) {
+        let route;
+        if (typeof routes === 'function') {
+            route = routes;
+        } else {
+            route = routes[`${request.method.toUpperCase()} ${request.url}`];
+        }
+
+        if (typeof route === 'function') {
+            route = await route(request);
+        }
+
+        if (!route) {
+            return createResponse({ status: 404, statusText: 'Not Found' });
+        }
+        return createResponse(route);
+    };
+}
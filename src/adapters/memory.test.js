@@ -0,0 +1,43 @@
+import { createMemoryAdapter } from './memory';
+
+describe('Memory Adapter Test', () => {
+    it('should respond according to method and url', async () => {
+        const adapter = createMemoryAdapter({
+            'GET http://example.com/users': { body: [{ id: 1 }] },
+            'POST http://example.com/users': request => ({ status: 201, body: request.body }),
+        });
+
+        expect(await adapter({ method: 'get', url: 'http://example.com/users' })).toEqual({
+            ok: true,
+            status: 200,
+            statusText: '',
+            headers: {},
+            body: [{ id: 1 }],
+        });
+        const created = await adapter({
+            method: 'post',
+            url: 'http://example.com/users',
+            body: { id: 2 },
+        });
+        expect(created.status).toBe(201);
+        expect(created.body).toEqual({ id: 2 });
+    });
+
+    it('should respond with 404 to unknown routes', async () => {
+        const adapter = createMemoryAdapter({});
+
+        const response = await adapter({ method: 'delete', url: 'http://example.com/users' });
+
+        expect(response.ok).toBe(false);
+        expect(response.status).toBe(404);
+    });
+
+    it('should support a single handler function', async () => {
+        const adapter = createMemoryAdapter(request => ({ status: 500, body: request.url }));
+
+        const response = await adapter({ method: 'get', url: 'http://example.com/users' });
+
+        expect(response.ok).toBe(false);
+        expect(response.body).toEqual('http://example.com/users');
+    });
+});
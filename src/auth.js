@@ -0,0 +1,112 @@
+import { hasHeader } from './headers';
+
+const AUTH_TYPES = ['bearer', 'basic', 'apiKey'];
+
+const refreshStates = new WeakMap();
+
+function resolveValue(value) {
+    return Promise.resolve(typeof value === 'function' ? value() : value);
+}
+
+function encodeBase64(value) {
+    if (typeof btoa === 'function') {
+        return btoa(unescape(encodeURIComponent(value)));
+    }
+    return Buffer.from(value).toString('base64');
+}
+
+function setHeader(request, name, value) {
+    if (hasHeader(request.headers, name)) {
+        return request;
+    }
+    return { ...request, headers: { ...request.headers, [name]: value } };
+}
+
+function getRefreshState(auth) {
+    if (!refreshStates.has(auth)) {
+        refreshStates.set(auth, {
+            token: undefined,
+            replacedToken: undefined,
+            refreshing: undefined,
+            generation: 0,
+        });
+    }
+    return refreshStates.get(auth);
+}
+
+async function authorize(auth, request) {
+    const { type } = auth;
+    if (type === 'bearer') {
+        const state = getRefreshState(auth);
+        const providedToken = await resolveValue(auth.token);
+        // A refreshed token replaces the provided one only until the provider changes it
+        if (state.token !== undefined && providedToken !== state.replacedToken) {
+            state.token = undefined;
+        }
+        const token = state.token !== undefined ? state.token : providedToken;
+        return token ? setHeader(request, 'Authorization', `Bearer ${token}`) : request;
+    }
+    if (type === 'basic') {
+        const [username, password] = await Promise.all([
+            resolveValue(auth.username),
+            resolveValue(auth.password),
+        ]);
+        return setHeader(
+            request,
+            'Authorization',
+            `Basic ${encodeBase64(`${username}:${password}`)}`
+        );
+    }
+    const key = await resolveValue(auth.key);
+    if (auth.in === 'query') {
+        return { ...request, query: { ...request.query, [auth.name || 'api_key']: key } };
+    }
+    return setHeader(request, auth.name || 'X-API-Key', key);
+}
+
+function refreshCredentials(auth) {
+    const state = getRefreshState(auth);
+    if (!state.refreshing) {
+        state.refreshing = Promise.all([resolveValue(auth.token), resolveValue(auth.refresh)]).then(
+            ([providedToken, token]) => {
+                if (token !== undefined) {
+                    state.token = token;
+                    state.replacedToken = providedToken;
+                }
+                state.generation += 1;
+                state.refreshing = undefined;
+            },
+            err => {
+                state.refreshing = undefined;
+                throw err;
+            }
+        );
+    }
+    return state.refreshing;
+}
+
+export function createAuthMiddleware(auth) {
+    if (AUTH_TYPES.indexOf(auth.type) === -1) {
+        throw new Error(`Invalid auth type ${auth.type}`);
+    }
+
+    return async function authMiddleware(request, next) {
+        const state = getRefreshState(auth);
+        if (state.refreshing) {
+            // Wait for a pending refresh, its failure belongs to the request that triggered it
+            await state.refreshing.catch(() => undefined);
+        }
+
+        const { generation } = state;
+        const response = await next(await authorize(auth, request));
+        if (response.status !== 401 || !auth.refresh) {
+            return response;
+        }
+
+        // Refresh only if no other request has refreshed the credentials in the meantime
+        if (state.generation === generation) {
+            await refreshCredentials(auth);
+        }
+        return next(await authorize(auth, request));
+    };
+}
@@ -0,0 +1,163 @@
+import { createAuthMiddleware } from './auth';
+
+describe('Auth Test', () => {
+    it('should add a bearer token from an async provider', async () => {
+        const next = jest.fn(() => ({ status: 200 }));
+        const middleware = createAuthMiddleware({
+            type: 'bearer',
+            token: () => Promise.resolve('abc'),
+        });
+
+        await middleware({ url: 'http://example.com', headers: { 'x-a': '1' } }, next);
+
+        expect(next).toHaveBeenCalledWith({
+            url: 'http://example.com',
+            headers: { 'x-a': '1', Authorization: 'Bearer abc' },
+        });
+    });
+
+    it('should not override an explicit authorization header', async () => {
+        const next = jest.fn(() => ({ status: 200 }));
+        const middleware = createAuthMiddleware({ type: 'bearer', token: 'abc' });
+
+        await middleware({ headers: { authorization: 'Bearer xyz' } }, next);
+
+        expect(next).toHaveBeenCalledWith({ headers: { authorization: 'Bearer xyz' } });
+    });
+
+    it('should add basic auth', async () => {
+        const next = jest.fn(() => ({ status: 200 }));
+        const middleware = createAuthMiddleware({
+            type: 'basic',
+            username: 'dan',
+            password: () => 'secret',
+        });
+
+        await middleware({}, next);
+
+        expect(next).toHaveBeenCalledWith({ headers: { Authorization: 'Basic ZGFuOnNlY3JldA==' } });
+    });
+
+    it('should add an api key to the headers or the query', async () => {
+        const next = jest.fn(() => ({ status: 200 }));
+
+        await createAuthMiddleware({ type: 'apiKey', key: '123' })({}, next);
+        await createAuthMiddleware({ type: 'apiKey', key: '123', name: 'X-Key' })({}, next);
+        await createAuthMiddleware({ type: 'apiKey', key: '123', in: 'query' })(
+            { query: { a: 1 } },
+            next
+        );
+
+        expect(next.mock.calls).toEqual([
+            [{ headers: { 'X-API-Key': '123' } }],
+            [{ headers: { 'X-Key': '123' } }],
+            [{ query: { a: 1, api_key: '123' } }],
+        ]);
+    });
+
+    it('should throw on invalid auth type', () => {
+        expect(() => createAuthMiddleware({ type: 'digest' })).toThrow('Invalid auth type digest');
+    });
+
+    it('should refresh and replay on 401', async () => {
+        let token = 'old';
+        const refresh = jest.fn(() => {
+            token = 'new';
+        });
+        const next = jest.fn(request => ({
+            status: request.headers.Authorization === 'Bearer new' ? 200 : 401,
+        }));
+        const middleware = createAuthMiddleware({ type: 'bearer', token: () => token, refresh });
+
+        const response = await middleware({}, next);
+
+        expect(response).toEqual({ status: 200 });
+        expect(refresh).toHaveBeenCalledTimes(1);
+        expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    it('should use the token returned by refresh', async () => {
+        const next = jest.fn(request => ({
+            status: request.headers.Authorization === 'Bearer new' ? 200 : 401,
+        }));
+        const middleware = createAuthMiddleware({
+            type: 'bearer',
+            token: 'old',
+            refresh: () => Promise.resolve('new'),
+        });
+
+        expect(await middleware({}, next)).toEqual({ status: 200 });
+        expect(await middleware({}, next)).toEqual({ status: 200 });
+        expect(next).toHaveBeenCalledTimes(3);
+    });
+
+    it('should prefer a changed provider token over the refreshed token', async () => {
+        let token = 'old';
+        const next = jest.fn(request => ({
+            status: request.headers && request.headers.Authorization === 'Bearer old' ? 401 : 200,
+        }));
+        const middleware = createAuthMiddleware({
+            type: 'bearer',
+            token: () => token,
+            refresh: () => Promise.resolve('new'),
+        });
+
+        await middleware({}, next);
+        token = 'relogged';
+        await middleware({}, next);
+        token = undefined;
+        await middleware({}, next);
+
+        expect(next.mock.calls.map(([request]) => request.headers)).toEqual([
+            { Authorization: 'Bearer old' },
+            { Authorization: 'Bearer new' },
+            { Authorization: 'Bearer relogged' },
+            undefined,
+        ]);
+    });
+
+    it('should share a single refresh between concurrent requests', async () => {
+        let token = 'old';
+        let finishRefresh;
+        const refresh = jest.fn(
+            () =>
+                new Promise(resolve => {
+                    finishRefresh = () => {
+                        token = 'new';
+                        resolve();
+                    };
+                })
+        );
+        const next = jest.fn(request => ({
+            status: request.headers.Authorization === 'Bearer new' ? 200 : 401,
+        }));
+        const middleware = createAuthMiddleware({ type: 'bearer', token: () => token, refresh });
+
+        const responses = Promise.all([middleware({}, next), middleware({}, next)]);
+        await new Promise(resolve => setTimeout(resolve));
+        finishRefresh();
+
+        expect(await responses).toEqual([{ status: 200 }, { status: 200 }]);
+        expect(refresh).toHaveBeenCalledTimes(1);
+        expect(next).toHaveBeenCalledTimes(4);
+    });
+
+    it('should return the 401 response when there is no refresh', async () => {
+        const next = jest.fn(() => ({ status: 401 }));
+        const middleware = createAuthMiddleware({ type: 'bearer', token: 'abc' });
+
+        expect(await middleware({}, next)).toEqual({ status: 401 });
+        expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject when refresh fails', async () => {
+        const next = jest.fn(() => ({ status: 401 }));
+        const middleware = createAuthMiddleware({
+            type: 'bearer',
+            token: 'abc',
+            refresh: () => Promise.reject(new Error('Session expired')),
+        });
+
+        await expect(middleware({}, next)).rejects.toThrow('Session expired');
+    });
+});
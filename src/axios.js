@@ -0,0 +1 @@
+export { default as axiosAdapter } from './adapters/axios';
@@ -0,0 +1,148 @@
+const CONTENT_TYPES = {
+    form: 'application/x-www-form-urlencoded',
+    text: 'text/plain;charset=UTF-8',
+    binary: 'application/octet-stream',
+};
+
+function isBlob(value) {
+    return typeof Blob !== 'undefined' && value instanceof Blob;
+}
+
+function isBuffer(value) {
+    return typeof Buffer !== 'undefined' && Buffer.isBuffer(value);
+}
+
+function isStream(value) {
+    return !!value && (typeof value.pipe === 'function' || typeof value.getReader === 'function');
+}
+
+export function isBinary(value) {
+    return (
+        isBlob(value) ||
+        isBuffer(value) ||
+        isStream(value) ||
+        value instanceof ArrayBuffer ||
+        ArrayBuffer.isView(value)
+    );
+}
+
+function isPlainObject(value) {
+    return (
+        !!value &&
+        typeof value === 'object' &&
+        !Array.isArray(value) &&
+        !(value instanceof Date) &&
+        !isBinary(value)
+    );
+}
+
+function toFormValue(value) {
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    return value === null ? '' : String(value);
+}
+
+function flatten(value, prefix, fields = []) {
+    if (value === undefined) {
+        return fields;
+    }
+    if (Array.isArray(value)) {
+        value.forEach(item => flatten(item, prefix, fields));
+    } else if (isPlainObject(value)) {
+        Object.keys(value).forEach(key =>
+            flatten(value[key], prefix ? `${prefix}[${key}]` : key, fields)
+        );
+    } else {
+        fields.push([prefix, value]);
+    }
+    return fields;
+}
+
+export function encodeForm(body = {}) {
+    return flatten(body)
+        .map(
+            ([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(toFormValue(value))}`
+        )
+        .join('&');
+}
+
+function readStream(stream) {
+    if (typeof stream.getReader === 'function') {
+        const reader = stream.getReader();
+        const read = chunks =>
+            reader.read().then(({ done, value }) => (done ? chunks : read([...chunks, value])));
+        return read([]);
+    }
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => resolve(chunks));
+        stream.on('error', reject);
+    });
+}
+
+function getFileName(value, key) {
+    if (typeof value.name === 'string' && value.name) {
+        return value.name;
+    }
+    // Node.js file streams have the path of their file
+    return typeof value.path === 'string' ? value.path.split(/[\\/]/).pop() : key;
+}
+
+export async function encodeMultipart(body = {}) {
+    if (typeof FormData === 'undefined' || typeof Blob === 'undefined') {
+        throw new Error(
+            'FormData is not available, multipart bodies require FormData and Blob (Node.js 18 or later)'
+        );
+    }
+    const fields = await Promise.all(
+        flatten(body).map(async ([key, value]) => {
+            if (isStream(value)) {
+                // FormData does not accept streams, so they are read into a Blob
+                return [key, new Blob(await readStream(value)), getFileName(value, key)];
+            }
+            return [key, value];
+        })
+    );
+    const formData = new FormData();
+    fields.forEach(([key, value, fileName]) => {
+        if (isBlob(value)) {
+            formData.append(key, value, fileName || value.name);
+        } else if (isBinary(value)) {
+            formData.append(key, new Blob([value]), key);
+        } else {
+            formData.append(key, toFormValue(value));
+        }
+    });
+    return formData;
+}
+
+export async function encodeBody(body, bodyType = 'json') {
+    switch (bodyType) {
+        case 'json':
+            return { body };
+        case 'form':
+            return { body: encodeForm(body), contentType: CONTENT_TYPES.form };
+        case 'multipart':
+            // The Content-Type header (with its boundary) is set by the HTTP client
+            return { body: await encodeMultipart(body) };
+        case 'text':
+            if (body !== undefined && typeof body !== 'string') {
+                throw new Error('A text body must be a string');
+            }
+            return { body, contentType: CONTENT_TYPES.text };
+        case 'binary':
+            if (body !== undefined && !isBinary(body)) {
+                throw new Error(
+                    'A binary body must be a Blob, a Buffer, an ArrayBuffer, a typed array or a stream'
+                );
+            }
+            return {
+                body,
+                contentType: isBlob(body) && body.type ? body.type : CONTENT_TYPES.binary,
+            };
+        default:
+            throw new Error(`Invalid bodyType ${bodyType}`);
+    }
+}
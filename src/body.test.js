@@ -0,0 +1,84 @@
+import { Readable } from 'stream';
+import { encodeBody, encodeForm, encodeMultipart } from './body';
+
+describe('Body Test', () => {
+    it('should encode form bodies', () => {
+        expect(
+            encodeForm({
+                name: 'Dan Smith',
+                tags: ['a', 'b'],
+                address: { city: 'Tel Aviv', zip: 1234 },
+                empty: null,
+                missing: undefined,
+            })
+        ).toEqual(
+            'name=Dan%20Smith&tags=a&tags=b&address%5Bcity%5D=Tel%20Aviv&address%5Bzip%5D=1234&empty='
+        );
+    });
+
+    it('should encode multipart bodies', async () => {
+        const avatar = new Blob(['image'], { type: 'image/png' });
+        const formData = await encodeMultipart({ name: 'Dan', avatar, tags: ['a', 'b'] });
+
+        expect(formData).toBeInstanceOf(FormData);
+        expect(formData.get('name')).toEqual('Dan');
+        expect(formData.getAll('tags')).toEqual(['a', 'b']);
+        expect(formData.get('avatar')).toBeInstanceOf(Blob);
+        expect(formData.get('avatar').type).toEqual('image/png');
+    });
+
+    it('should convert buffers to blobs in multipart bodies', async () => {
+        const formData = await encodeMultipart({ file: Buffer.from('content') });
+
+        expect(formData.get('file')).toBeInstanceOf(Blob);
+    });
+
+    it('should read stream fields of multipart bodies', async () => {
+        const stream = Readable.from([Buffer.from('ab'), Buffer.from('c')]);
+        stream.path = '/tmp/reports/report.pdf';
+
+        const formData = await encodeMultipart({ file: stream });
+
+        expect(formData.get('file')).toBeInstanceOf(Blob);
+        expect(formData.get('file').size).toEqual(3);
+        expect(formData.get('file').name).toEqual('report.pdf');
+    });
+
+    it('should throw when FormData is not available', async () => {
+        const { FormData } = global;
+        delete global.FormData;
+
+        await expect(encodeMultipart({ a: 1 })).rejects.toThrow('FormData is not available');
+        global.FormData = FormData;
+    });
+
+    it('should return the content type of each body type', async () => {
+        const blob = new Blob(['image'], { type: 'image/png' });
+
+        expect(await encodeBody({ a: 1 }, 'json')).toEqual({ body: { a: 1 } });
+        expect(await encodeBody({ a: 1 }, 'form')).toEqual({
+            body: 'a=1',
+            contentType: 'application/x-www-form-urlencoded',
+        });
+        expect(await encodeBody('hello', 'text')).toEqual({
+            body: 'hello',
+            contentType: 'text/plain;charset=UTF-8',
+        });
+        expect(await encodeBody(blob, 'binary')).toEqual({ body: blob, contentType: 'image/png' });
+        expect((await encodeBody(Buffer.from('a'), 'binary')).contentType).toEqual(
+            'application/octet-stream'
+        );
+        expect((await encodeBody({ a: 1 }, 'multipart')).contentType).toBeUndefined();
+    });
+
+    it('should throw on bodies that cannot be encoded', async () => {
+        await expect(encodeBody({ text: 'hello' }, 'text')).rejects.toThrow(
+            'A text body must be a string'
+        );
+        await expect(encodeBody({ a: 1 }, 'binary')).rejects.toThrow('A binary body must be');
+    });
+
+    it('should throw on invalid body type', async () => {
+        await expect(encodeBody({}, 'xml')).rejects.toThrow('Invalid bodyType xml');
+    });
+});
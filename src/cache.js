@@ -0,0 +1,106 @@
+const defaultCacheOptions = {
+    ttl: 60000,
+    staleWhileRevalidate: 0,
+};
+
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).sort();
+        return `{${keys
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return value === undefined ? 'null' : JSON.stringify(value);
+}
+
+export function createMemoryStore() {
+    const entries = new Map();
+    return {
+        get: key => entries.get(key),
+        set: (key, entry) => {
+            entries.set(key, entry);
+        },
+        delete: key => {
+            entries.delete(key);
+        },
+        keys: () => Array.from(entries.keys()),
+    };
+}
+
+export function createCache(cacheOption, prefix) {
+    if (!cacheOption) {
+        return undefined;
+    }
+
+    const { ttl, staleWhileRevalidate, store = createMemoryStore() } = {
+        ...defaultCacheOptions,
+        ...(cacheOption === true ? {} : cacheOption),
+    };
+    const inFlight = new Map();
+
+    function getKey(request) {
+        return `${prefix} ${stableStringify([request.url, request.query, request.headers])}`;
+    }
+
+    function load(key, fetcher) {
+        if (!inFlight.has(key)) {
+            const promise = (async () => {
+                try {
+                    const { value, cacheable } = await fetcher();
+                    if (cacheable && inFlight.get(key) === promise) {
+                        const now = Date.now();
+                        await store.set(key, {
+                            value,
+                            expires: now + ttl,
+                            staleUntil: now + ttl + staleWhileRevalidate,
+                        });
+                    }
+                    return value;
+                } finally {
+                    if (inFlight.get(key) === promise) {
+                        inFlight.delete(key);
+                    }
+                }
+            })();
+            inFlight.set(key, promise);
+        }
+        return inFlight.get(key);
+    }
+
+    async function get(request, fetcher) {
+        const key = getKey(request);
+        const entry = await store.get(key);
+        const now = Date.now();
+        if (entry && entry.expires > now) {
+            return entry.value;
+        }
+        if (entry && entry.staleUntil > now) {
+            load(key, fetcher).catch(() => {});
+            return entry.value;
+        }
+        return load(key, fetcher);
+    }
+
+    async function invalidate(request) {
+        const key = getKey(request);
+        inFlight.delete(key);
+        await store.delete(key);
+    }
+
+    async function clear() {
+        const keys = await store.keys();
+        inFlight.clear();
+        await Promise.all(
+            keys.filter(key => key.indexOf(`${prefix} `) === 0).map(key => store.delete(key))
+        );
+    }
+
+    return {
+        get,
+        invalidate,
+        clear,
+    };
+}
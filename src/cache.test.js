@@ -0,0 +1,150 @@
+import { createCache, createMemoryStore } from './cache';
+
+const request = { url: 'http://example.com/api/', query: { a: 1, b: 2 }, headers: undefined };
+
+function createFetcher(values) {
+    const fetcher = jest.fn();
+    values.forEach(value =>
+        fetcher.mockImplementationOnce(() => Promise.resolve({ value, cacheable: true }))
+    );
+    return fetcher;
+}
+
+describe('Cache Test', () => {
+    let now;
+    let dateMock;
+
+    beforeEach(() => {
+        now = 1000;
+        dateMock = jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        dateMock.mockRestore();
+    });
+
+    it('should not create cache when disabled', () => {
+        expect(createCache(undefined, 'get /api')).toBeUndefined();
+        expect(createCache(false, 'get /api')).toBeUndefined();
+    });
+
+    it('should dedupe concurrent identical requests', async () => {
+        const cache = createCache(true, 'get /api');
+        const fetcher = createFetcher(['first', 'second']);
+
+        const results = await Promise.all([
+            cache.get(request, fetcher),
+            cache.get({ ...request, query: { b: 2, a: 1 } }, fetcher),
+        ]);
+
+        expect(results).toEqual(['first', 'first']);
+        expect(fetcher).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not dedupe different requests', async () => {
+        const cache = createCache(true, 'get /api');
+        const fetcher = createFetcher(['first', 'second']);
+
+        const results = await Promise.all([
+            cache.get(request, fetcher),
+            cache.get({ ...request, headers: { token: '1' } }, fetcher),
+        ]);
+
+        expect(results).toEqual(['first', 'second']);
+    });
+
+    it('should store results until ttl expires', async () => {
+        const cache = createCache({ ttl: 100 }, 'get /api');
+        const fetcher = createFetcher(['first', 'second']);
+
+        expect(await cache.get(request, fetcher)).toEqual('first');
+        now = 1099;
+        expect(await cache.get(request, fetcher)).toEqual('first');
+        now = 1100;
+        expect(await cache.get(request, fetcher)).toEqual('second');
+        expect(fetcher).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not store results that are not cacheable', async () => {
+        const cache = createCache(true, 'get /api');
+        const fetcher = jest.fn(() => Promise.resolve({ value: 'failure', cacheable: false }));
+
+        await cache.get(request, fetcher);
+        await cache.get(request, fetcher);
+
+        expect(fetcher).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not store failed requests', async () => {
+        const cache = createCache(true, 'get /api');
+        const fetcher = jest
+            .fn()
+            .mockImplementationOnce(() => Promise.reject(new Error('Network Error')))
+            .mockImplementationOnce(() => Promise.resolve({ value: 'ok', cacheable: true }));
+
+        await expect(cache.get(request, fetcher)).rejects.toEqual(new Error('Network Error'));
+        expect(await cache.get(request, fetcher)).toEqual('ok');
+    });
+
+    it('should return stale results while revalidating', async () => {
+        const cache = createCache({ ttl: 100, staleWhileRevalidate: 100 }, 'get /api');
+        const fetcher = createFetcher(['first', 'second', 'third']);
+
+        await cache.get(request, fetcher);
+        now = 1150;
+        expect(await cache.get(request, fetcher)).toEqual('first');
+        expect(fetcher).toHaveBeenCalledTimes(2);
+        await Promise.resolve();
+        expect(await cache.get(request, fetcher)).toEqual('second');
+        now = 1400;
+        expect(await cache.get(request, fetcher)).toEqual('third');
+    });
+
+    it('should invalidate a single entry', async () => {
+        const cache = createCache(true, 'get /api');
+        const fetcher = createFetcher(['first', 'second', 'third']);
+        const otherRequest = { ...request, query: { a: 2 } };
+
+        await cache.get(request, fetcher);
+        await cache.get(otherRequest, fetcher);
+        await cache.invalidate(request);
+
+        expect(await cache.get(request, fetcher)).toEqual('third');
+        expect(await cache.get(otherRequest, fetcher)).toEqual('second');
+    });
+
+    it('should clear only its own entries from a shared store', async () => {
+        const store = createMemoryStore();
+        const cache = createCache({ store }, 'get /api');
+        const otherCache = createCache({ store }, 'get /api/other');
+
+        await cache.get(request, createFetcher(['first']));
+        await otherCache.get(request, createFetcher(['other']));
+        await cache.clear();
+
+        expect(store.keys()).toEqual([expect.stringMatching(/^get \/api\/other /)]);
+    });
+
+    it('should support async stores', async () => {
+        const entries = {};
+        const store = {
+            get: jest.fn(key => Promise.resolve(entries[key])),
+            set: jest.fn((key, entry) => {
+                entries[key] = entry;
+                return Promise.resolve();
+            }),
+            delete: jest.fn(),
+            keys: jest.fn(),
+        };
+        const cache = createCache({ store, ttl: 100 }, 'get /api');
+        const fetcher = createFetcher(['first', 'second']);
+
+        await cache.get(request, fetcher);
+        expect(await cache.get(request, fetcher)).toEqual('first');
+        expect(store.set).toHaveBeenCalledWith(expect.any(String), {
+            value: 'first',
+            expires: 1100,
+            staleUntil: 1100,
+        });
+    });
+});
@@ -0,0 +1,56 @@
+import { CancelError, TimeoutError } from './errors';
+
+export function withCancellation(send, { signal, timeout } = {}) {
+    if (!signal && !timeout) {
+        return Promise.resolve().then(() => send());
+    }
+
+    return new Promise((resolve, reject) => {
+        const controller =
+            typeof AbortController === 'function' ? new AbortController() : undefined;
+        let timer;
+        let removeAbortListener = () => {};
+
+        function cleanup() {
+            clearTimeout(timer);
+            removeAbortListener();
+        }
+
+        function fail(error) {
+            cleanup();
+            if (controller) {
+                controller.abort();
+            }
+            reject(error);
+        }
+
+        if (signal) {
+            const onAbort = () => fail(new CancelError('Request was cancelled'));
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+            signal.addEventListener('abort', onAbort);
+            removeAbortListener = () => signal.removeEventListener('abort', onAbort);
+        }
+        if (timeout) {
+            timer = setTimeout(
+                () => fail(new TimeoutError(`Request timed out after ${timeout}ms`, { timeout })),
+                timeout
+            );
+        }
+
+        Promise.resolve()
+            .then(() => send(controller ? controller.signal : signal))
+            .then(
+                response => {
+                    cleanup();
+                    resolve(response);
+                },
+                err => {
+                    cleanup();
+                    reject(err);
+                }
+            );
+    });
+}
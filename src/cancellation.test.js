@@ -0,0 +1,74 @@
+import { withCancellation } from './cancellation';
+import { CancelError, TimeoutError, PlainApiError } from './errors';
+
+function never() {
+    return new Promise(() => {});
+}
+
+describe('Cancellation Test', () => {
+    it('should resolve with the response when there is no signal or timeout', async () => {
+        const send = jest.fn(() => 'response');
+
+        expect(await withCancellation(send)).toEqual('response');
+        expect(send).toHaveBeenCalledWith();
+    });
+
+    it('should reject with CancelError when the signal aborts', async () => {
+        const controller = new AbortController();
+        const send = jest.fn(never);
+
+        const promise = withCancellation(send, { signal: controller.signal });
+        controller.abort();
+
+        let error;
+        try {
+            await promise;
+        } catch (err) {
+            error = err;
+        }
+        expect(error).toBeInstanceOf(CancelError);
+        expect(error).toBeInstanceOf(PlainApiError);
+        expect(error).toBeInstanceOf(Error);
+        expect(error.name).toEqual('CancelError');
+    });
+
+    it('should reject immediately when the signal is already aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        const send = jest.fn();
+
+        await expect(withCancellation(send, { signal: controller.signal })).rejects.toBeInstanceOf(
+            CancelError
+        );
+        expect(send).not.toHaveBeenCalled();
+    });
+
+    it('should reject with TimeoutError and abort the request signal on timeout', async () => {
+        let requestSignal;
+        const send = jest.fn(signal => {
+            requestSignal = signal;
+            return never();
+        });
+
+        let error;
+        try {
+            await withCancellation(send, { timeout: 10 });
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error).toBeInstanceOf(TimeoutError);
+        expect(error).not.toBeInstanceOf(CancelError);
+        expect(error.message).toEqual('Request timed out after 10ms');
+        expect(error.timeout).toBe(10);
+        expect(requestSignal.aborted).toBe(true);
+    });
+
+    it('should propagate request errors', async () => {
+        const send = () => Promise.reject(new Error('Network Error'));
+
+        await expect(withCancellation(send, { timeout: 1000 })).rejects.toEqual(
+            new Error('Network Error')
+        );
+    });
+});
@@ -0,0 +1,39 @@
+import fs from 'fs';
+import { generateModule } from './openapi';
+
+const usage = 'Usage: plain-api-openapi <spec.json> [output.js] [--import <module>]\n';
+
+export function run(args, { stdout = process.stdout, stderr = process.stderr } = {}) {
+    const importIndex = args.indexOf('--import');
+    const importPath = importIndex === -1 ? undefined : args[importIndex + 1];
+    const positionalArgs = [...args];
+    if (importIndex !== -1) {
+        positionalArgs.splice(importIndex, 2);
+    }
+    const [specPath, outputPath] = positionalArgs;
+    if (!specPath || (importIndex !== -1 && !importPath)) {
+        stderr.write(usage);
+        return 1;
+    }
+
+    let code;
+    try {
+        const spec = JSON.parse(fs.readFileSync(specPath, 'utf8'));
+        code = generateModule(spec, { importPath });
+    } catch (err) {
+        stderr.write(`Failed to generate resources from ${specPath}: ${err.message}\n`);
+        return 1;
+    }
+
+    if (!outputPath) {
+        stdout.write(code);
+        return 0;
+    }
+    try {
+        fs.writeFileSync(outputPath, code);
+    } catch (err) {
+        stderr.write(`Failed to write resources to ${outputPath}: ${err.message}\n`);
+        return 1;
+    }
+    return 0;
+}
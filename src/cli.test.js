@@ -0,0 +1,68 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { run } from './cli';
+
+function createOutput() {
+    let text = '';
+    return {
+        write: chunk => {
+            text += chunk;
+        },
+        text: () => text,
+    };
+}
+
+describe('CLI Test', () => {
+    const specPath = path.join(os.tmpdir(), `plain-api-spec-${process.pid}.json`);
+    const outputPath = path.join(os.tmpdir(), `plain-api-resources-${process.pid}.js`);
+
+    beforeAll(() => {
+        fs.writeFileSync(
+            specPath,
+            JSON.stringify({ paths: { '/me': { get: { operationId: 'getMe' } } } })
+        );
+    });
+
+    afterAll(() => {
+        [specPath, outputPath]
+            .filter(file => fs.existsSync(file))
+            .forEach(file => fs.unlinkSync(file));
+    });
+
+    it('should print the resources module', () => {
+        const stdout = createOutput();
+
+        expect(run([specPath], { stdout })).toEqual(0);
+        expect(stdout.text()).toContain('"getMe": {');
+    });
+
+    it('should write the resources module to a file', () => {
+        expect(run([specPath, outputPath, '--import', 'my-plain-api'])).toEqual(0);
+        expect(fs.readFileSync(outputPath, 'utf8')).toContain(
+            "import { createApi } from 'my-plain-api';"
+        );
+    });
+
+    it('should print usage without a spec', () => {
+        const stderr = createOutput();
+
+        expect(run([], { stderr })).toEqual(1);
+        expect(stderr.text()).toContain('Usage: plain-api-openapi');
+    });
+
+    it('should report invalid specs', () => {
+        const stderr = createOutput();
+
+        expect(run(['missing.json'], { stderr })).toEqual(1);
+        expect(stderr.text()).toContain('Failed to generate resources from missing.json');
+    });
+
+    it('should report output files that cannot be written', () => {
+        const stderr = createOutput();
+        const invalidPath = path.join(os.tmpdir(), `plain-api-missing-${process.pid}`, 'out.js');
+
+        expect(run([specPath, invalidPath], { stderr })).toEqual(1);
+        expect(stderr.text()).toContain(`Failed to write resources to ${invalidPath}`);
+    });
+});
@@ -0,0 +1,166 @@
+import { createLimiter } from './limiter';
+
+function settle(send) {
+    return Promise.resolve()
+        .then(send)
+        .then(
+            result => ({ ok: true, result }),
+            error => ({ ok: false, error })
+        );
+}
+
+function toEntries(calls) {
+    return Array.isArray(calls)
+        ? calls.map((call, index) => [index, call])
+        : Object.keys(calls).map(key => [key, calls[key]]);
+}
+
+function fromEntries(calls, keys, values) {
+    if (Array.isArray(calls)) {
+        return values;
+    }
+    return keys.reduce((results, key, index) => ({ ...results, [key]: values[index] }), {});
+}
+
+function invokeResource([resource, payload, options], callOptions, input) {
+    return resource.call(typeof payload === 'function' ? payload(input) : payload, {
+        ...callOptions,
+        ...options,
+    });
+}
+
+function toBatchRequest({ method, url, query, headers, body }) {
+    return { method, url, query, headers, body };
+}
+
+function createBatchEndpoint(endpoint, count) {
+    const {
+        resource,
+        toPayload = requests => ({ requests }),
+        toResponses = result => result,
+    } = endpoint;
+    const pending = [];
+    let remaining = count;
+    let sent = false;
+
+    async function send() {
+        sent = true;
+        if (pending.length === 0) {
+            return;
+        }
+        try {
+            const result = await resource.call(
+                toPayload(pending.map(item => toBatchRequest(item.request)))
+            );
+            const responses = await toResponses(result);
+            pending.forEach((item, index) => {
+                const response = responses && responses[index];
+                if (response) {
+                    item.resolve({ headers: {}, ...response });
+                } else {
+                    item.reject(
+                        new Error(
+                            `Missing response for ${item.request.method.toUpperCase()} ${
+                                item.request.url
+                            } in batch`
+                        )
+                    );
+                }
+            });
+        } catch (err) {
+            pending.forEach(item => item.reject(err));
+        }
+    }
+
+    function createSlot() {
+        let arrived = false;
+        function arrive() {
+            if (!arrived) {
+                arrived = true;
+                remaining -= 1;
+                if (remaining === 0) {
+                    send();
+                }
+            }
+        }
+        return {
+            adapter(request) {
+                if (sent) {
+                    return Promise.reject(new Error('The batch request was already sent'));
+                }
+                return new Promise((resolve, reject) => {
+                    pending.push({ request, resolve, reject });
+                    arrive();
+                });
+            },
+            // A call that settles without sending a request should not hold the batch
+            done: arrive,
+        };
+    }
+
+    return { createSlot };
+}
+
+export async function batch(calls, { concurrency, signal, endpoint } = {}) {
+    const entries = toEntries(calls);
+    const keys = entries.map(([key]) => key);
+
+    if (endpoint) {
+        const batchEndpoint = createBatchEndpoint(endpoint, entries.length);
+        const results = await Promise.all(
+            entries.map(([, call]) => {
+                const slot = batchEndpoint.createSlot();
+                // Calls wait in the adapter for each other, so they must not hold limiter
+                // slots, and a retry would send a request after the batch was sent
+                const callOptions = { signal, adapter: slot.adapter, limiter: false, retry: false };
+                return settle(() =>
+                    typeof call === 'function'
+                        ? call(callOptions)
+                        : invokeResource(call, callOptions)
+                ).then(result => {
+                    slot.done();
+                    return result;
+                });
+            })
+        );
+        return fromEntries(calls, keys, results);
+    }
+
+    const limiter = createLimiter(concurrency === undefined ? {} : { concurrency });
+    const results = await Promise.all(
+        entries.map(([, call]) =>
+            settle(() =>
+                limiter.schedule(
+                    () =>
+                        typeof call === 'function'
+                            ? call({ signal })
+                            : invokeResource(call, { signal }),
+                    { signal }
+                )
+            )
+        )
+    );
+    return fromEntries(calls, keys, results);
+}
+
+export async function pipeline(steps, input, { signal } = {}) {
+    const { results } = await steps.reduce(
+        (previousStep, step) =>
+            previousStep.then(state => {
+                if (state.stopped) {
+                    return state;
+                }
+                return settle(() =>
+                    typeof step === 'function'
+                        ? step(state.previous, { signal })
+                        : invokeResource(step, { signal }, state.previous)
+                ).then(result => ({
+                    results: [...state.results, result],
+                    previous: result.result,
+                    stopped: !result.ok,
+                }));
+            }),
+        Promise.resolve({ results: [], previous: input, stopped: false })
+    );
+    return results;
+}
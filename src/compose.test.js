@@ -0,0 +1,225 @@
+import { createResource, createResourceFactory } from './create-resource';
+import { batch, pipeline } from './compose';
+import { CancelError, ValidationError } from './errors';
+
+function createEchoAdapter() {
+    return jest.fn(request => ({
+        ok: true,
+        status: 200,
+        headers: {},
+        body: { url: request.url, body: request.body },
+    }));
+}
+
+describe('Compose Test', () => {
+    it('should run calls in parallel and collect their results', async () => {
+        const adapter = jest
+            .fn()
+            .mockReturnValueOnce({ ok: true, status: 200, headers: {}, body: 'user' })
+            .mockImplementationOnce(() => Promise.reject(new Error('Network Error')));
+        const getUser = createResource('get', 'http://example.com/user/', { adapter });
+        const getGroups = createResource('get', 'http://example.com/groups/', { adapter });
+
+        const results = await batch([[getUser], [getGroups], () => 'computed']);
+
+        expect(results).toEqual([
+            { ok: true, result: 'user' },
+            { ok: false, error: expect.objectContaining({ message: 'Network Error' }) },
+            { ok: true, result: 'computed' },
+        ]);
+    });
+
+    it('should return results by key', async () => {
+        const adapter = createEchoAdapter();
+        const createItem = createResource('post', 'http://example.com/items/', {
+            adapter,
+            inputMap: { name: 'name' },
+        });
+
+        const results = await batch({
+            a: [createItem, { name: 'a' }],
+            b: [createItem, { name: 'b' }],
+        });
+
+        expect(results).toEqual({
+            a: { ok: true, result: { url: 'http://example.com/items/', body: { name: 'a' } } },
+            b: { ok: true, result: { url: 'http://example.com/items/', body: { name: 'b' } } },
+        });
+    });
+
+    it('should limit the concurrency of calls', async () => {
+        let active = 0;
+        let maxActive = 0;
+        const adapter = jest.fn(async () => {
+            active += 1;
+            maxActive = Math.max(maxActive, active);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            active -= 1;
+            return { ok: true, status: 200, headers: {} };
+        });
+        const resource = createResource('get', 'http://example.com/items/', { adapter });
+
+        await batch([[resource], [resource], [resource], [resource], [resource]], {
+            concurrency: 2,
+        });
+
+        expect(adapter).toHaveBeenCalledTimes(5);
+        expect(maxActive).toEqual(2);
+    });
+
+    it('should cancel batch calls', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        const adapter = createEchoAdapter();
+        const resource = createResource('get', 'http://example.com/items/', { adapter });
+
+        const results = await batch([[resource]], { signal: controller.signal });
+
+        expect(results[0].error).toBeInstanceOf(CancelError);
+        expect(adapter).not.toHaveBeenCalled();
+    });
+
+    it('should send calls through a batch endpoint', async () => {
+        const batchAdapter = jest.fn(request => ({
+            ok: true,
+            status: 200,
+            headers: {},
+            body: request.body.requests.map(({ url }) =>
+                url.indexOf('missing') === -1
+                    ? { status: 200, body: { url } }
+                    : { status: 404, body: 'Not Found' }
+            ),
+        }));
+        const sendBatch = createResource('post', 'http://example.com/batch/', {
+            adapter: batchAdapter,
+            inputMap: { requests: 'requests' },
+        });
+        const adapter = createEchoAdapter();
+        const getItem = createResource('get', 'http://example.com/items/{id}', {
+            adapter,
+            inputSchema: { type: 'object', required: ['id'] },
+            throwOnFailure: true,
+            parsers: [data => data.url],
+        });
+
+        const results = await batch(
+            [
+                [getItem, { id: 1 }],
+                [getItem, {}],
+                [getItem, { id: 'missing' }],
+                [getItem, { id: 2 }],
+            ],
+            { endpoint: { resource: sendBatch } }
+        );
+
+        expect(adapter).not.toHaveBeenCalled();
+        expect(batchAdapter).toHaveBeenCalledTimes(1);
+        expect(batchAdapter.mock.calls[0][0].body.requests).toEqual([
+            { method: 'get', url: 'http://example.com/items/1' },
+            { method: 'get', url: 'http://example.com/items/missing' },
+            { method: 'get', url: 'http://example.com/items/2' },
+        ]);
+        expect(results).toEqual([
+            { ok: true, result: 'http://example.com/items/1' },
+            { ok: false, error: expect.any(ValidationError) },
+            { ok: false, error: expect.objectContaining({ status: 404 }) },
+            { ok: true, result: 'http://example.com/items/2' },
+        ]);
+    });
+
+    it('should fail all batched calls when the batch endpoint fails', async () => {
+        const sendBatch = createResource('post', 'http://example.com/batch/', {
+            adapter: () => Promise.reject(new Error('Network Error')),
+        });
+        const getItem = createResource('get', 'http://example.com/items/', {
+            adapter: createEchoAdapter(),
+        });
+
+        const results = await batch([[getItem], [getItem]], {
+            endpoint: {
+                resource: sendBatch,
+                toPayload: requests => requests,
+                toResponses: result => result.responses,
+            },
+        });
+
+        expect(results.map(({ ok }) => ok)).toEqual([false, false]);
+        expect(results[0].error.message).toEqual('Network Error');
+    });
+
+    it('should batch calls of resources sharing a limiter and retry options', async () => {
+        const batchAdapter = jest.fn(request => ({
+            ok: true,
+            status: 200,
+            headers: {},
+            body: request.body.requests.map(() => ({ status: 503, body: 'unavailable' })),
+        }));
+        const createLimitedResource = createResourceFactory({
+            limiter: { concurrency: 1 },
+            retry: { attempts: 3, delay: 0 },
+        });
+        const sendBatch = createLimitedResource('post', 'http://example.com/batch/', {
+            adapter: batchAdapter,
+            inputMap: { requests: 'requests' },
+        });
+        const getItem = createLimitedResource('get', 'http://example.com/items/', {
+            adapter: createEchoAdapter(),
+        });
+
+        const results = await batch([[getItem], [getItem]], {
+            endpoint: { resource: sendBatch },
+        });
+
+        expect(batchAdapter).toHaveBeenCalledTimes(1);
+        expect(results).toEqual([
+            { ok: true, result: 'unavailable' },
+            { ok: true, result: 'unavailable' },
+        ]);
+    });
+
+    it('should run steps in sequence passing results forward', async () => {
+        const adapter = createEchoAdapter();
+        const createOrder = createResource('post', 'http://example.com/orders/', {
+            adapter,
+            inputMap: { items: 'items' },
+            parsers: [() => ({ id: 7 })],
+        });
+        const getOrder = createResource('get', 'http://example.com/orders/{id}', {
+            adapter,
+            parsers: [data => data.url],
+        });
+
+        const results = await pipeline(
+            [
+                [createOrder, items => ({ items })],
+                (order, options) =>
+                    batch([[getOrder, { id: order.id }]], options).then(() => order),
+                [getOrder, order => ({ id: order.id })],
+            ],
+            ['a', 'b']
+        );
+
+        expect(results).toEqual([
+            { ok: true, result: { id: 7 } },
+            { ok: true, result: { id: 7 } },
+            { ok: true, result: 'http://example.com/orders/7' },
+        ]);
+        expect(adapter.mock.calls[0][0].body).toEqual({ items: ['a', 'b'] });
+    });
+
+    it('should stop the pipeline on the first failure', async () => {
+        const lastStep = jest.fn();
+
+        const results = await pipeline([
+            () => 1,
+            () => Promise.reject(new Error('Failed')),
+            lastStep,
+        ]);
+
+        expect(results).toEqual([
+            { ok: true, result: 1 },
+            { ok: false, error: new Error('Failed') },
+        ]);
+        expect(lastStep).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,46 @@
+import { createResourceFactory } from './create-resource';
+
+function isEndpoint(definition) {
+    return typeof definition.method === 'string' && typeof definition.path === 'string';
+}
+
+export function createApi(baseUrl, definitions, defaults = {}) {
+    const createResource = createResourceFactory(
+        baseUrl ? { ...defaults, baseURL: baseUrl } : defaults
+    );
+
+    function build(groupDefinitions, prefix) {
+        return Object.keys(groupDefinitions).reduce((api, name) => {
+            const definition = groupDefinitions[name];
+            const fullName = prefix ? `${prefix}.${name}` : name;
+            if (!isEndpoint(definition)) {
+                return { ...api, [name]: build(definition, fullName) };
+            }
+            const { method, path, ...options } = definition;
+            return {
+                ...api,
+                [name]: createResource(method, path, {
+                    name: fullName,
+                    ...options,
+                }),
+            };
+        }, {});
+    }
+
+    return Object.defineProperties(build(definitions), {
+        on: { value: createResource.on },
+        off: { value: createResource.off },
+    });
+}
+
+export function crud(path, { id = 'id', ...options } = {}) {
+    const itemPath = `${path.replace(/\/+$/, '')}/{{${id}}}`;
+    return {
+        list: { ...options, method: 'get', path },
+        get: { ...options, method: 'get', path: itemPath },
+        create: { ...options, method: 'post', path },
+        update: { ...options, method: 'put', path: itemPath },
+        patch: { ...options, method: 'patch', path: itemPath },
+        remove: { ...options, method: 'delete', path: itemPath },
+    };
+}
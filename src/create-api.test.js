@@ -0,0 +1,127 @@
+import { createApi, crud } from './create-api';
+
+function createAdapter() {
+    return jest.fn(request => ({
+        ok: true,
+        status: 200,
+        headers: {},
+        body: { method: request.method, url: request.url, body: request.body },
+    }));
+}
+
+describe('Create Api Test', () => {
+    it('should create resources from endpoint definitions', async () => {
+        const adapter = createAdapter();
+        const api = createApi(
+            'http://example.com/api/',
+            {
+                getMe: { method: 'get', path: '/me', parsers: [data => data.url] },
+                sendMessage: {
+                    method: 'post',
+                    path: 'messages',
+                    inputMap: { text: 'message_text' },
+                    headersMap: { token: 'x-token' },
+                },
+            },
+            { adapter }
+        );
+
+        expect(await api.getMe.call()).toEqual('http://example.com/api/me');
+        expect(await api.sendMessage.call({ text: 'hi', token: '1234' })).toEqual({
+            method: 'post',
+            url: 'http://example.com/api/messages',
+            body: { message_text: 'hi' },
+        });
+        expect(adapter).toHaveBeenLastCalledWith(
+            expect.objectContaining({ headers: { 'x-token': '1234' } })
+        );
+    });
+
+    it('should create nested groups of resources', () => {
+        const api = createApi('http://example.com', {
+            chat: {
+                members: { method: 'get', path: '/chat/{{chatId}}/members' },
+            },
+        });
+
+        expect(api.chat.members.getProperties()).toEqual(
+            expect.objectContaining({
+                apiUrl: 'http://example.com/chat/{{chatId}}/members',
+                method: 'get',
+            })
+        );
+    });
+
+    it('should apply defaults to all resources', async () => {
+        const defaultParser = jest.fn(data => data.url);
+        const api = createApi(
+            'http://example.com',
+            { getMe: { method: 'get', path: '/me' } },
+            { adapter: createAdapter(), parsers: [defaultParser] }
+        );
+
+        expect(await api.getMe.call()).toEqual('http://example.com/me');
+        expect(defaultParser).toHaveBeenCalledTimes(1);
+    });
+
+    it('should name resources by their path and emit their events on the api', async () => {
+        const listener = jest.fn();
+        const api = createApi(
+            'http://example.com',
+            {
+                chat: { members: { method: 'get', path: '/chat/members' } },
+                getMe: { method: 'get', path: '/me', name: 'me' },
+            },
+            { adapter: createAdapter() }
+        );
+        api.on('response', listener);
+
+        await api.chat.members.call();
+        await api.getMe.call();
+
+        expect(listener.mock.calls.map(([{ name }]) => name)).toEqual(['chat.members', 'me']);
+    });
+
+    it('should generate crud resources', async () => {
+        const api = createApi(
+            'http://example.com',
+            { users: crud('/users', { inputMap: { name: 'name' } }) },
+            { adapter: createAdapter() }
+        );
+
+        expect(await api.users.list.call()).toEqual({
+            method: 'get',
+            url: 'http://example.com/users',
+        });
+        expect(await api.users.get.call({ id: 1 })).toEqual({
+            method: 'get',
+            url: 'http://example.com/users/1',
+        });
+        expect(await api.users.create.call({ name: 'Dan' })).toEqual({
+            method: 'post',
+            url: 'http://example.com/users',
+            body: { name: 'Dan' },
+        });
+        expect(await api.users.update.call({ id: 1, name: 'Dan' })).toEqual({
+            method: 'put',
+            url: 'http://example.com/users/1',
+            body: { name: 'Dan' },
+        });
+        expect(await api.users.patch.call({ id: 1, name: 'Dan' })).toEqual({
+            method: 'patch',
+            url: 'http://example.com/users/1',
+            body: { name: 'Dan' },
+        });
+        expect(await api.users.remove.call({ id: 1 })).toEqual({
+            method: 'delete',
+            url: 'http://example.com/users/1',
+        });
+    });
+
+    it('should support custom id param in crud', () => {
+        const definitions = crud('/users/', { id: 'userId' });
+
+        expect(definitions.get).toEqual({ method: 'get', path: '/users/{{userId}}' });
+        expect(definitions.list).toEqual({ method: 'get', path: '/users/' });
+    });
+});
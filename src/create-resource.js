@@ -1,169 +1,679 @@
-import axios from 'axios';
+import { fetchAdapter } from './adapters/fetch';
+import { createAuthMiddleware } from './auth';
+import { encodeBody } from './body';
+import { createCache } from './cache';
+import { withCancellation } from './cancellation';
+import { createEmitter } from './events';
+import {
+    PlainApiError,
+    NetworkError,
+    HttpError,
+    ParseError,
+    ValidationError,
+    OfflineError,
+} from './errors';
+import { hasHeader } from './headers';
+import { createLimiter } from './limiter';
+import { applyMap, getMappedKeys } from './mapping';
+import { composeMiddleware } from './middleware';
+import { createPaginator } from './paginate';
+import { withRetry } from './retry';
+import { expandUrl } from './url-template';
+import { assertSchema } from './validation';
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
 
 function isEmptyObject(obj) {
     return Object.keys(obj).length === 0 && obj.constructor === Object;
 }
 
-function invokeParsers(parsers = [], body, isFailure, payload, options, statusCode) {
+function isSuccessful(response) {
+    if (typeof response.ok === 'boolean') {
+        return response.ok;
+    }
+    return response.status >= 200 && response.status < 300;
+}
+
+function isPlainObject(value) {
+    if (!value || typeof value !== 'object') {
+        return false;
+    }
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+async function invokeParsers(parsers = [], body, isFailure, payload, options, statusCode, context) {
     let parsersArr;
     if (!Array.isArray(parsers)) {
         parsersArr = [parsers];
     } else {
         parsersArr = parsers;
     }
-    const originalBody = Object.freeze(body);
+    // Binary bodies (typed arrays, buffers) cannot be frozen
+    const originalBody = Array.isArray(body) || isPlainObject(body) ? Object.freeze(body) : body;
     const parsedBody = parsersArr.reduce(
-        (interBody, parser) => parser(interBody, isFailure, payload, options, statusCode),
-        originalBody
+        async (interBody, parser) =>
+            parser(await interBody, isFailure, payload, options, statusCode, context),
+        Promise.resolve(originalBody)
     );
     return parsedBody;
 }
 
+async function sendRequest(adapter, request) {
+    try {
+        return await adapter(request);
+    } catch (err) {
+        if (err instanceof PlainApiError) {
+            throw err;
+        }
+        throw new NetworkError(err.message, {
+            cause: err,
+            url: request.url,
+            method: request.method,
+        });
+    }
+}
+
+function mapOutput(outputMap, body, passThrough) {
+    if (Array.isArray(body)) {
+        return Promise.all(body.map(item => applyMap(outputMap, item, { passThrough })));
+    }
+    return applyMap(outputMap, body, { passThrough });
+}
+
+function getLimiter(limiter) {
+    if (!limiter) {
+        return undefined;
+    }
+    return typeof limiter.schedule === 'function' ? limiter : createLimiter(limiter);
+}
+
+function resolveUrl(baseURL, url) {
+    if (!baseURL || /^([a-z][a-z\d+\-.]*:)?\/\//i.test(url)) {
+        return url;
+    }
+    return `${baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+}
+
+const identity = value => value;
+
+function chain(first, second) {
+    if (!first || first === identity) {
+        return second || first;
+    }
+    if (!second || second === identity) {
+        return first;
+    }
+    return async value => second(await first(value));
+}
+
+function mergeObjects(first, second) {
+    if (!first || !second) {
+        return second || first;
+    }
+    return { ...first, ...second };
+}
+
+let defaultAdapter = fetchAdapter;
+
+export function setDefaultAdapter(adapter) {
+    const previousAdapter = defaultAdapter;
+    defaultAdapter = adapter || fetchAdapter;
+    return previousAdapter;
+}
+
+const defaultFactoryOptions = {};
+
 // TODO: Remove this method which is deprecated since createResourceFactory()
 export function setDefaultInterpolationPattern(interpolationPattern) {
-    defaultOptions.interpolationPattern = interpolationPattern;
+    defaultFactoryOptions.interpolationPattern = interpolationPattern;
 }
 
 const defaultOptions = {
+    name: undefined,
+    baseURL: undefined,
     interpolationPattern: /\{\{(\w+)\}\}/gi,
-    transformPayload: p => p,
-    transformHeaders: h => h,
+    strictUrlParams: undefined,
+    omitUrlParams: undefined,
+    transformPayload: identity,
+    transformHeaders: identity,
+    headers: undefined,
     inputMap: undefined,
     headersMap: undefined,
+    outputMap: undefined,
+    passThrough: undefined,
+    adapter: undefined,
     withCredentials: false,
+    responseType: undefined,
+    bodyType: undefined,
+    onUploadProgress: undefined,
+    middleware: undefined,
+    auth: undefined,
+    retry: undefined,
+    limiter: undefined,
+    priority: undefined,
+    offline: undefined,
+    timeout: undefined,
+    throwOnFailure: undefined,
+    cache: undefined,
+    paginate: undefined,
+    inputSchema: undefined,
+    outputSchema: undefined,
+    validateOutput: undefined,
+    validator: undefined,
     parsers: [],
 };
 
 function mergeOptions(...args) {
-    return args.reduce((merged, options) => {
-        return {
+    return args.reduce(
+        (merged, options) => ({
             ...merged,
             ...options,
-            parsers: options.parsers ? [...merged.parsers, ...options.parsers] : merged.parsers,
-        };
-    }, defaultOptions);
+            headers: mergeObjects(merged.headers, options.headers),
+            headersMap: mergeObjects(merged.headersMap, options.headersMap),
+            transformPayload: chain(merged.transformPayload, options.transformPayload),
+            transformHeaders: chain(merged.transformHeaders, options.transformHeaders),
+            middleware: options.middleware
+                ? [].concat(merged.middleware || [], options.middleware)
+                : merged.middleware,
+            parsers: options.parsers
+                ? [].concat(merged.parsers || [], options.parsers)
+                : merged.parsers,
+        }),
+        {}
+    );
 }
 
-function createResourceFactory(factoryDefaults = {}) {
-    return function createResource(method, apiUrl, options = {}) {
-        const mergedOptions = mergeOptions(factoryDefaults, options);
+function createFactory(factoryDefaults, parent) {
+    const factoryEmitter = createEmitter();
+    const factoryLimiter =
+        parent && factoryDefaults.limiter === parent.options.limiter
+            ? parent.limiter
+            : getLimiter(factoryDefaults.limiter);
+
+    function emitFactory(event, data) {
+        factoryEmitter.emit(event, data);
+        if (parent) {
+            parent.emit(event, data);
+        }
+    }
+
+    function createResource(method, apiUrl, options = {}) {
+        const mergedOptions = mergeOptions(defaultOptions, factoryDefaults, options);
+        const resourceUrl = resolveUrl(mergedOptions.baseURL, apiUrl);
+        const name = mergedOptions.name || `${method.toUpperCase()} ${resourceUrl}`;
+        const emitter = createEmitter();
+        const limiter =
+            options.limiter === undefined ? factoryLimiter : getLimiter(options.limiter);
+        const authMiddleware = mergedOptions.auth
+            ? createAuthMiddleware(mergedOptions.auth)
+            : undefined;
+
+        function getCallOptions(overrides) {
+            return Object.keys(overrides).length > 0
+                ? mergeOptions(mergedOptions, overrides)
+                : mergedOptions;
+        }
+
+        function getCallLimiter(callOptions) {
+            return callOptions.limiter === mergedOptions.limiter
+                ? limiter
+                : getLimiter(callOptions.limiter);
+        }
+
+        function getAuthMiddleware(callOptions) {
+            if (callOptions.auth === mergedOptions.auth) {
+                return authMiddleware;
+            }
+            return callOptions.auth ? createAuthMiddleware(callOptions.auth) : undefined;
+        }
+
+        function expandApiUrl(urlParams, callOptions = mergedOptions) {
+            const { interpolationPattern, strictUrlParams } = callOptions;
+            const expanded = expandUrl(resourceUrl, urlParams, { interpolationPattern });
+            const { missingKeys } = expanded;
+            if (strictUrlParams && missingKeys.length > 0) {
+                throw new ValidationError(
+                    `Invalid url params for ${method.toUpperCase()} ${resourceUrl}: ${missingKeys
+                        .map(key => `"${key}" is required`)
+                        .join(', ')}`,
+                    {
+                        target: 'url',
+                        method: method.toLowerCase(),
+                        url: resourceUrl,
+                        path: missingKeys[0],
+                        errors: missingKeys.map(key => ({ path: key, message: 'is required' })),
+                    }
+                );
+            }
+            return expanded;
+        }
+
+        function emit(event, data) {
+            emitter.emit(event, data);
+            emitFactory(event, data);
+        }
 
         function buildUrl(urlParams = {}) {
-            const { interpolationPattern } = mergedOptions;
-            return apiUrl.replace(interpolationPattern, (match, p1) =>
-                Object.prototype.hasOwnProperty.call(urlParams, p1)
-                    ? encodeURIComponent(urlParams[p1])
-                    : match
-            );
+            return expandApiUrl(urlParams).url;
         }
 
         function getProperties() {
             return {
-                apiUrl,
+                apiUrl: resourceUrl,
                 method,
                 options: mergedOptions,
             };
         }
 
-        function getTransformedPayload(payload) {
-            const { inputMap, transformPayload } = mergedOptions;
+        async function getTransformedPayload(payload, usedKeys, callOptions) {
+            const {
+                inputMap,
+                headersMap,
+                passThrough,
+                omitUrlParams,
+                transformPayload,
+            } = callOptions;
             let transformedPayload;
-            if (inputMap && payload) {
-                transformedPayload = Object.keys(inputMap).reduce(
-                    (data, key) => ({
-                        ...data,
-                        [inputMap[key]]: payload[key],
-                    }),
-                    {}
-                );
+            if ((inputMap || passThrough) && payload) {
+                transformedPayload = await applyMap(inputMap, payload, {
+                    passThrough,
+                    omittedKeys: omitUrlParams ? usedKeys : [],
+                    excludedKeys: [...getMappedKeys(headersMap), ...usedKeys],
+                });
             } else {
                 transformedPayload = {};
             }
-            transformedPayload = transformPayload(transformedPayload);
+            transformedPayload = await transformPayload(transformedPayload);
             return isEmptyObject(transformedPayload) ? undefined : transformedPayload;
         }
 
-        function getHeaders(payload) {
-            const { headersMap, transformHeaders } = mergedOptions;
+        async function getHeaders(payload, callOptions) {
+            const { headers: staticHeaders, headersMap, transformHeaders } = callOptions;
             let headers;
             if (headersMap && payload) {
-                headers = Object.keys(headersMap).reduce(
-                    (data, key) => ({
-                        ...data,
-                        [headersMap[key]]: payload[key],
-                    }),
-                    {}
-                );
+                headers = { ...staticHeaders, ...(await applyMap(headersMap, payload)) };
             } else {
-                headers = {};
+                headers = { ...staticHeaders };
             }
-            headers = transformHeaders(headers);
+            headers = await transformHeaders(headers);
             return isEmptyObject(headers) ? undefined : headers;
         }
 
-        async function call(payload = undefined) {
-            const fullUrl = buildUrl(payload);
-            const transformedPayload = getTransformedPayload(payload);
-            const headers = getHeaders(payload);
+        async function buildRequest(payload, callOptions = mergedOptions) {
+            const { withCredentials, responseType, bodyType, onUploadProgress } = callOptions;
+            const { url: fullUrl, usedKeys } = expandApiUrl(payload, callOptions);
+            const transformedPayload = await getTransformedPayload(payload, usedKeys, callOptions);
+            const headers = await getHeaders(payload, callOptions);
 
-            const { withCredentials, parsers } = mergedOptions;
-            const axiosOptions = {};
-            if (headers) {
-                axiosOptions.headers = headers;
+            const requestMethod = method.toLowerCase();
+            if (METHODS.indexOf(requestMethod) === -1) {
+                throw new Error(`Invalid method ${method}`);
             }
-            if (withCredentials) {
-                axiosOptions.withCredentials = withCredentials;
+
+            const request = {
+                method: requestMethod,
+                url: fullUrl,
+                headers,
+                withCredentials,
+            };
+            if (requestMethod === 'get') {
+                request.query = transformedPayload;
+            } else if (requestMethod !== 'delete') {
+                request.body = transformedPayload;
+                if (bodyType && bodyType !== 'json') {
+                    const { body, contentType } = await encodeBody(transformedPayload, bodyType);
+                    request.body = body;
+                    request.bodyType = bodyType;
+                    if (contentType && body !== undefined && !hasHeader(headers, 'Content-Type')) {
+                        request.headers = { ...headers, 'Content-Type': contentType };
+                    }
+                }
+                if (onUploadProgress) {
+                    request.onUploadProgress = onUploadProgress;
+                }
             }
+            if (responseType) {
+                request.responseType = responseType;
+            }
+            return request;
+        }
 
-            let body;
-            let isFailure = false;
-            let statusCode;
+        function validate(schema, value, target, callOptions = mergedOptions) {
+            assertSchema(schema, value, {
+                validator: callOptions.validator,
+                target,
+                method: method.toLowerCase(),
+                url: resourceUrl,
+            });
+        }
+
+        async function execute(
+            request,
+            payload,
+            { signal, raw } = {},
+            callOptions = mergedOptions
+        ) {
+            const {
+                adapter = defaultAdapter,
+                priority,
+                middleware,
+                retry,
+                timeout,
+                throwOnFailure,
+                outputSchema,
+                validateOutput,
+                outputMap,
+                passThrough,
+                parsers,
+            } = callOptions;
+
+            const callLimiter = getCallLimiter(callOptions);
+            const auth = getAuthMiddleware(callOptions);
+            const dispatch = composeMiddleware(
+                auth ? [].concat(middleware || [], auth) : middleware,
+                nextRequest => sendRequest(adapter, nextRequest)
+            );
+            const send = requestSignal =>
+                dispatch(requestSignal ? { ...request, signal: requestSignal } : request);
+            const meta = { name, method: request.method, url: request.url };
+            emit('request', { ...meta, request });
+            const startTime = Date.now();
+            let response;
+            let attempts;
             try {
-                let response;
-                switch (method.toLowerCase()) {
-                    case 'get':
-                        if (transformedPayload) {
-                            axiosOptions.params = transformedPayload;
-                        }
-                        response = await axios.get(fullUrl, axiosOptions);
-                        break;
-                    case 'delete':
-                        response = await axios.delete(fullUrl, axiosOptions);
-                        break;
-                    case 'post':
-                        response = await axios.post(fullUrl, transformedPayload, axiosOptions);
-                        break;
-                    case 'put':
-                        response = await axios.put(fullUrl, transformedPayload, axiosOptions);
-                        break;
-                    case 'patch':
-                        response = await axios.patch(fullUrl, transformedPayload, axiosOptions);
-                        break;
-                    default:
-                        throw new Error(`Invalid method ${method}`);
+                ({ response, attempts } = await withRetry(
+                    retry,
+                    request.method,
+                    () =>
+                        withCancellation(
+                            requestSignal =>
+                                callLimiter
+                                    ? callLimiter.schedule(() => send(requestSignal), {
+                                          priority,
+                                          signal: requestSignal,
+                                      })
+                                    : send(requestSignal),
+                            { signal, timeout }
+                        ),
+                    retryInfo => emit('retry', { ...meta, ...retryInfo }),
+                    signal
+                ));
+            } catch (err) {
+                const duration = Date.now() - startTime;
+                emit('failure', { ...meta, duration, error: err });
+                if (err instanceof ParseError) {
+                    emit('parseError', { ...meta, status: err.status, duration, error: err });
+                }
+                throw err;
+            }
+
+            const context = {
+                attempts,
+                status: response.status,
+                statusText: response.statusText,
+                headers: response.headers,
+                url: response.url || request.url,
+                duration: Date.now() - startTime,
+            };
+
+            const { status, duration } = context;
+            emit('response', { ...meta, status, duration, attempts, response });
+
+            const isFailure = !isSuccessful(response);
+            if (isFailure) {
+                const error = throwOnFailure
+                    ? new HttpError(`Request failed with status code ${response.status}`, {
+                          status: response.status,
+                          statusText: response.statusText,
+                          body: response.body,
+                          headers: response.headers,
+                          resource: getProperties(),
+                      })
+                    : undefined;
+                emit('failure', { ...meta, status, duration, response, error });
+                if (error) {
+                    throw error;
                 }
-                body = response.data;
-                statusCode = response.status;
+            }
+
+            if (raw) {
+                return { result: { ...context, ok: !isFailure, body: response.body }, response };
+            }
+
+            const validateResult = !isFailure && validateOutput === 'after';
+            if (!isFailure && !validateResult) {
+                validate(outputSchema, response.body, 'response', callOptions);
+            }
+
+            try {
+                const body =
+                    outputMap && !isFailure
+                        ? await mapOutput(outputMap, response.body, passThrough)
+                        : response.body;
+                const result = await invokeParsers(
+                    parsers,
+                    body,
+                    isFailure,
+                    payload,
+                    callOptions,
+                    response.status,
+                    context
+                );
+                if (validateResult) {
+                    validate(outputSchema, result, 'response', callOptions);
+                }
+                return { result, response };
+            } catch (err) {
+                // Parsers may throw their own errors on purpose for failure responses
+                if (err instanceof PlainApiError || isFailure) {
+                    throw err;
+                }
+                const error = new ParseError(err.message, {
+                    cause: err,
+                    status: response.status,
+                    body: response.body,
+                    resource: getProperties(),
+                });
+                emit('parseError', { ...meta, status, duration, response, error });
+                throw error;
+            }
+        }
+
+        const offlineQueue =
+            mergedOptions.offline && mergedOptions.offline.accepts(method)
+                ? mergedOptions.offline
+                : undefined;
+        if (offlineQueue) {
+            offlineQueue.register(name, async item => {
+                const { result } = await execute(
+                    item.request,
+                    item.payload,
+                    {},
+                    getCallOptions(item.overrides || {})
+                );
+                return result;
+            });
+        }
+
+        const cache =
+            method.toLowerCase() === 'get'
+                ? createCache(mergedOptions.cache, `${method.toLowerCase()} ${resourceUrl}`)
+                : undefined;
+
+        async function callOrEnqueue(request, payload, executeOptions, overrides) {
+            try {
+                const { result } = await execute(
+                    request,
+                    payload,
+                    executeOptions,
+                    getCallOptions(overrides)
+                );
+                return result;
             } catch (err) {
-                isFailure = true;
-                if (err.response) {
-                    body = err.response.data;
-                    statusCode = err.response.status;
-                } else {
+                if (!(err instanceof NetworkError)) {
                     throw err;
                 }
+                const item = await offlineQueue.enqueue({
+                    name,
+                    request,
+                    payload,
+                    overrides: Object.keys(overrides).length > 0 ? overrides : undefined,
+                });
+                throw new OfflineError('Request was queued to be sent when back online', {
+                    cause: err,
+                    url: request.url,
+                    method: request.method,
+                    item,
+                });
+            }
+        }
+
+        async function call(payload = undefined, { signal, raw, ...overrides } = {}) {
+            const callOptions = getCallOptions(overrides);
+            validate(callOptions.inputSchema, payload, 'payload', callOptions);
+            const request = await buildRequest(payload, callOptions);
+
+            // Overrides may change how the response is parsed, so they skip the cache
+            if (cache && !raw && callOptions === mergedOptions) {
+                return withCancellation(
+                    () =>
+                        cache.get(request, async () => {
+                            const { result, response } = await execute(
+                                request,
+                                payload,
+                                {},
+                                callOptions
+                            );
+                            return { value: result, cacheable: isSuccessful(response) };
+                        }),
+                    { signal }
+                );
+            }
+
+            if (offlineQueue) {
+                return callOrEnqueue(
+                    offlineQueue.prepare(request),
+                    payload,
+                    { signal, raw },
+                    overrides
+                );
             }
 
-            return invokeParsers(parsers, body, isFailure, payload, mergedOptions, statusCode);
+            const { result } = await execute(request, payload, { signal, raw }, callOptions);
+            return result;
+        }
+
+        function iterate(payload = {}, { signal, ...overrides } = {}) {
+            let callOptions;
+            let paginator;
+            let page;
+            let finished = false;
+            let pending = Promise.resolve();
+
+            async function nextPage() {
+                if (!paginator) {
+                    callOptions = getCallOptions(overrides);
+                    paginator = createPaginator(callOptions.paginate);
+                    validate(callOptions.inputSchema, payload, 'payload', callOptions);
+                    page = { payload: paginator.first(payload) };
+                }
+                if (finished || !page) {
+                    finished = true;
+                    return { done: true, value: undefined };
+                }
+
+                const currentPage = page;
+                const request = await buildRequest(currentPage.payload, callOptions);
+                const { result, response } = await execute(
+                    currentPage.url
+                        ? { ...request, url: currentPage.url, query: undefined }
+                        : request,
+                    currentPage.payload,
+                    { signal },
+                    callOptions
+                );
+                page = isSuccessful(response)
+                    ? paginator.next(currentPage.payload, {
+                          result,
+                          response,
+                          items: paginator.items(result),
+                      })
+                    : undefined;
+                return { done: false, value: result };
+            }
+
+            const iterator = {
+                // Pages are fetched one after the other, like the pages of an async generator
+                next() {
+                    pending = pending.then(nextPage, nextPage).then(undefined, err => {
+                        finished = true;
+                        throw err;
+                    });
+                    return pending;
+                },
+                return(value) {
+                    finished = true;
+                    return Promise.resolve({ done: true, value });
+                },
+            };
+            iterator[Symbol.asyncIterator] = () => iterator;
+            return iterator;
+        }
+
+        async function all(payload = {}, { maxPages = Infinity, ...iterateOptions } = {}) {
+            const { items } = createPaginator(getCallOptions(iterateOptions).paginate);
+            const pages = iterate(payload, iterateOptions);
+            const collect = (results, count) =>
+                count >= maxPages
+                    ? pages.return().then(() => results)
+                    : pages
+                          .next()
+                          .then(({ done, value }) =>
+                              done ? results : collect(results.concat(items(value)), count + 1)
+                          );
+            return collect([], 0);
+        }
+
+        async function invalidate(payload = undefined) {
+            if (cache) {
+                await cache.invalidate(await buildRequest(payload));
+            }
+        }
+
+        async function clear() {
+            if (cache) {
+                await cache.clear();
+            }
         }
 
         return {
             buildUrl,
             call,
             getProperties,
+            invalidate,
+            clear,
+            iterate,
+            all,
+            on: emitter.on,
+            off: emitter.off,
         };
-    };
+    }
+
+    createResource.on = factoryEmitter.on;
+    createResource.off = factoryEmitter.off;
+    createResource.extend = (options = {}) =>
+        createFactory(mergeOptions(factoryDefaults, options), {
+            options: factoryDefaults,
+            limiter: factoryLimiter,
+            emit: emitFactory,
+        });
+    return createResource;
+}
+
+function createResourceFactory(factoryDefaults = {}) {
+    return createFactory({ ...factoryDefaults });
 }
 
-export const createResource = createResourceFactory();
+export const createResource = createFactory(defaultFactoryOptions);
 export { createResourceFactory };
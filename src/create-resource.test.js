@@ -1,11 +1,32 @@
 import axios from 'axios';
+import { createMemoryAdapter, fetchAdapter } from './adapters';
+import axiosAdapter from './adapters/axios';
+import {
+    PlainApiError,
+    CancelError,
+    TimeoutError,
+    NetworkError,
+    HttpError,
+    ParseError,
+    ValidationError,
+} from './errors';
 import {
     createResource,
     setDefaultInterpolationPattern,
     createResourceFactory,
+    setDefaultAdapter,
 } from './create-resource';
+import { createLimiter } from './limiter';
 
 describe('Api Call Test', () => {
+    beforeAll(() => {
+        setDefaultAdapter(axiosAdapter);
+    });
+
+    afterAll(() => {
+        setDefaultAdapter(fetchAdapter);
+    });
+
     [
         // GET
         {
@@ -341,6 +362,14 @@ describe('Api Call Test', () => {
                 parsers: [defaultParser, additionalParser],
             },
             200,
+            {
+                attempts: 1,
+                status: 200,
+                statusText: undefined,
+                headers: {},
+                url: 'http://example.com/some/api/',
+                duration: expect.any(Number),
+            },
         ];
         expect(defaultParser).toBeCalledWith({ status: 'success' }, ...expectedParserArgs);
         expect(additionalParser).toBeCalledWith(
@@ -356,4 +385,1011 @@ describe('Api Call Test', () => {
 
         mock.mockRestore();
     });
+
+    it('should send requests through a custom adapter', async () => {
+        const adapter = jest.fn(() => ({ ok: true, status: 200, headers: {}, body: { a: 1 } }));
+        const resource = createResource('post', 'http://example.com/api/', {
+            adapter,
+            inputMap: { name: 'Name' },
+            headersMap: { token: 'x-token' },
+        });
+
+        const result = await resource.call({ name: 'Dan', token: '1234' });
+
+        expect(result).toEqual({ a: 1 });
+        expect(adapter).toHaveBeenCalledWith({
+            method: 'post',
+            url: 'http://example.com/api/',
+            headers: { 'x-token': '1234' },
+            body: { Name: 'Dan' },
+            withCredentials: false,
+        });
+    });
+
+    it('should support adapter option via createResourceFactory', async () => {
+        const parser = jest.fn(x => x);
+        const createCustomResource = createResourceFactory({
+            adapter: createMemoryAdapter({
+                'GET http://example.com/api/': { status: 503, body: 'unavailable' },
+            }),
+        });
+
+        const resource = createCustomResource('get', 'http://example.com/api/', {
+            parsers: [parser],
+        });
+        const result = await resource.call();
+
+        expect(result).toEqual('unavailable');
+        expect(parser).toBeCalledWith(
+            'unavailable',
+            true,
+            undefined,
+            expect.any(Object),
+            503,
+            expect.objectContaining({ attempts: 1 })
+        );
+    });
+
+    it('should concatenate factory and resource middleware', async () => {
+        const order = [];
+        const adapter = jest.fn(() => ({ ok: true, status: 200, headers: {}, body: 'done' }));
+        const createCustomResource = createResourceFactory({
+            adapter,
+            middleware: [
+                (request, next) => {
+                    order.push('factory');
+                    return next({ ...request, headers: { ...request.headers, token: '1234' } });
+                },
+            ],
+        });
+
+        const resource = createCustomResource('get', 'http://example.com/api/', {
+            middleware: [
+                (request, next) => {
+                    order.push('resource');
+                    return next();
+                },
+            ],
+        });
+        const result = await resource.call();
+
+        expect(result).toEqual('done');
+        expect(order).toEqual(['factory', 'resource']);
+        expect(adapter).toHaveBeenCalledWith(
+            expect.objectContaining({ headers: { token: '1234' } })
+        );
+    });
+
+    it('should retry failed requests and pass the attempts count to parsers', async () => {
+        const parser = jest.fn(x => x);
+        const adapter = jest
+            .fn()
+            .mockImplementationOnce(() => Promise.reject(new Error('Network Error')))
+            .mockImplementationOnce(() => ({ ok: false, status: 503, headers: {} }))
+            .mockImplementationOnce(() => ({ ok: true, status: 200, headers: {}, body: 'ok' }));
+        const createCustomResource = createResourceFactory({
+            adapter,
+            retry: { attempts: 3, delay: 0 },
+        });
+
+        const resource = createCustomResource('get', 'http://example.com/api/', {
+            parsers: [parser],
+        });
+        const result = await resource.call();
+
+        expect(result).toEqual('ok');
+        expect(adapter).toHaveBeenCalledTimes(3);
+        expect(parser).toBeCalledWith(
+            'ok',
+            false,
+            undefined,
+            expect.any(Object),
+            200,
+            expect.objectContaining({ attempts: 3 })
+        );
+    });
+
+    it('should cancel a call using an abort signal', async () => {
+        const controller = new AbortController();
+        const adapter = jest.fn(() => new Promise(() => {}));
+        const resource = createResource('get', 'http://example.com/api/', { adapter });
+
+        const promise = resource.call(undefined, { signal: controller.signal });
+        await new Promise(resolve => setTimeout(resolve));
+        controller.abort();
+
+        await expect(promise).rejects.toBeInstanceOf(CancelError);
+        expect(adapter.mock.calls[0][0].signal.aborted).toBe(true);
+    });
+
+    it('should not retry cancelled calls', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        const adapter = jest.fn();
+        const resource = createResource('get', 'http://example.com/api/', {
+            adapter,
+            retry: { delay: 0 },
+        });
+
+        await expect(
+            resource.call(undefined, { signal: controller.signal })
+        ).rejects.toBeInstanceOf(CancelError);
+        expect(adapter).not.toHaveBeenCalled();
+    });
+
+    it('should support timeout option', async () => {
+        const adapter = jest.fn(() => new Promise(() => {}));
+        const resource = createResource('get', 'http://example.com/api/', { adapter, timeout: 10 });
+
+        await expect(resource.call()).rejects.toBeInstanceOf(TimeoutError);
+    });
+
+    it('should throw NetworkError when there is no response', async () => {
+        const cause = new Error('Network Error');
+        const resource = createResource('get', 'http://example.com/api/', {
+            adapter: () => Promise.reject(cause),
+        });
+
+        let error;
+        try {
+            await resource.call();
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error).toBeInstanceOf(NetworkError);
+        expect(error).toBeInstanceOf(PlainApiError);
+        expect(error.message).toEqual('Network Error');
+        expect(error.cause).toBe(cause);
+        expect(error.url).toEqual('http://example.com/api/');
+        expect(error.method).toEqual('get');
+    });
+
+    it('should throw HttpError on failure status code when throwOnFailure is set', async () => {
+        const parser = jest.fn();
+        const resource = createResource('get', 'http://example.com/api/', {
+            adapter: createMemoryAdapter({
+                'GET http://example.com/api/': {
+                    status: 404,
+                    statusText: 'Not Found',
+                    headers: { 'x-request-id': '1' },
+                    body: { error: 'missing' },
+                },
+            }),
+            throwOnFailure: true,
+            parsers: [parser],
+        });
+
+        let error;
+        try {
+            await resource.call();
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error).toBeInstanceOf(HttpError);
+        expect(error.message).toEqual('Request failed with status code 404');
+        expect(error.status).toBe(404);
+        expect(error.statusText).toEqual('Not Found');
+        expect(error.body).toEqual({ error: 'missing' });
+        expect(error.headers).toEqual({ 'x-request-id': '1' });
+        expect(error.resource).toEqual(resource.getProperties());
+        expect(parser).not.toHaveBeenCalled();
+    });
+
+    it('should throw ParseError when a parser throws', async () => {
+        const cause = new Error('Invalid data');
+        const resource = createResource('get', 'http://example.com/api/', {
+            adapter: () => ({ ok: true, status: 200, headers: {}, body: 'data' }),
+            parsers: [
+                () => {
+                    throw cause;
+                },
+            ],
+        });
+
+        let error;
+        try {
+            await resource.call();
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error).toBeInstanceOf(ParseError);
+        expect(error.message).toEqual('Invalid data');
+        expect(error.cause).toBe(cause);
+        expect(error.body).toEqual('data');
+        expect(error.status).toBe(200);
+    });
+
+    it('should rethrow parser errors of failure responses as is', async () => {
+        const error = new Error('User not found');
+        const resource = createResource('get', 'http://example.com/api/', {
+            adapter: () => ({ ok: false, status: 404, headers: {}, body: 'missing' }),
+            parsers: [
+                (data, isFailure) => {
+                    if (isFailure) {
+                        throw error;
+                    }
+                    return data;
+                },
+            ],
+        });
+
+        await expect(resource.call()).rejects.toBe(error);
+    });
+
+    it('should dedupe and cache GET calls when cache option is set', async () => {
+        const adapter = jest.fn(request => ({
+            ok: true,
+            status: 200,
+            headers: {},
+            body: request.query,
+        }));
+        const resource = createResource('get', 'http://example.com/api/', {
+            adapter,
+            cache: { ttl: 60000 },
+            inputMap: { a: 'A' },
+        });
+
+        const results = await Promise.all([resource.call({ a: 1 }), resource.call({ a: 1 })]);
+        expect(results).toEqual([{ A: 1 }, { A: 1 }]);
+        expect(await resource.call({ a: 1 })).toEqual({ A: 1 });
+        expect(adapter).toHaveBeenCalledTimes(1);
+
+        await resource.call({ a: 2 });
+        expect(adapter).toHaveBeenCalledTimes(2);
+
+        await resource.invalidate({ a: 1 });
+        await resource.call({ a: 1 });
+        expect(adapter).toHaveBeenCalledTimes(3);
+
+        await resource.clear();
+        await resource.call({ a: 2 });
+        expect(adapter).toHaveBeenCalledTimes(4);
+    });
+
+    it('should not cache failure responses', async () => {
+        const adapter = jest.fn(() => ({ ok: false, status: 500, headers: {}, body: 'error' }));
+        const resource = createResource('get', 'http://example.com/api/', { adapter, cache: true });
+
+        await resource.call();
+        await resource.call();
+
+        expect(adapter).toHaveBeenCalledTimes(2);
+    });
+
+    it('should ignore cache option for non GET resources', async () => {
+        const adapter = jest.fn(() => ({ ok: true, status: 200, headers: {}, body: 'ok' }));
+        const resource = createResource('post', 'http://example.com/api/', {
+            adapter,
+            cache: true,
+        });
+
+        await Promise.all([resource.call(), resource.call()]);
+
+        expect(adapter).toHaveBeenCalledTimes(2);
+    });
+
+    it('should cancel a single cached call', async () => {
+        const controller = new AbortController();
+        let respond;
+        const adapter = jest.fn(
+            () =>
+                new Promise(resolve => {
+                    respond = resolve;
+                })
+        );
+        const resource = createResource('get', 'http://example.com/api/', { adapter, cache: true });
+
+        const cancelled = resource.call(undefined, { signal: controller.signal });
+        const other = resource.call();
+        controller.abort();
+        await expect(cancelled).rejects.toBeInstanceOf(CancelError);
+
+        await new Promise(resolve => setTimeout(resolve));
+        respond({ ok: true, status: 200, headers: {}, body: 'ok' });
+        expect(await other).toEqual('ok');
+        expect(adapter).toHaveBeenCalledTimes(1);
+    });
+
+    it('should validate payload with inputSchema before sending the request', async () => {
+        const adapter = jest.fn();
+        const resource = createResource('post', 'http://example.com/users/', {
+            adapter,
+            inputSchema: {
+                type: 'object',
+                required: ['name'],
+                properties: { name: { type: 'string' } },
+            },
+            inputMap: { name: 'user_name' },
+        });
+
+        let error;
+        try {
+            await resource.call({ name: 5 });
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.message).toEqual(
+            'Invalid payload for POST http://example.com/users/: "name" must be of type string'
+        );
+        expect(adapter).not.toHaveBeenCalled();
+    });
+
+    it('should validate response body with outputSchema before parsers', async () => {
+        const parser = jest.fn();
+        const resource = createResource('get', 'http://example.com/users/', {
+            adapter: () => ({ ok: true, status: 200, headers: {}, body: { users: 'none' } }),
+            outputSchema: { type: 'object', properties: { users: { type: 'array' } } },
+            parsers: [parser],
+        });
+
+        await expect(resource.call()).rejects.toEqual(
+            expect.objectContaining({ name: 'ValidationError', path: 'users', target: 'response' })
+        );
+        expect(parser).not.toHaveBeenCalled();
+    });
+
+    it('should validate parsed result with outputSchema after parsers', async () => {
+        const resource = createResource('get', 'http://example.com/users/', {
+            adapter: () => ({ ok: true, status: 200, headers: {}, body: { users: [] } }),
+            outputSchema: { type: 'array' },
+            validateOutput: 'after',
+            parsers: [data => data.users],
+        });
+
+        expect(await resource.call()).toEqual([]);
+    });
+
+    it('should not validate failure responses', async () => {
+        const resource = createResource('get', 'http://example.com/users/', {
+            adapter: () => ({ ok: false, status: 500, headers: {}, body: 'error' }),
+            outputSchema: { type: 'array' },
+        });
+
+        expect(await resource.call()).toEqual('error');
+    });
+
+    it('should support url templates', async () => {
+        const adapter = jest.fn(() => ({ ok: true, status: 200, headers: {} }));
+        const resource = createResource(
+            'get',
+            'http://example.com/chat/{id}/members{?page,limit}',
+            {
+                adapter,
+            }
+        );
+
+        await resource.call({ id: 5, page: 2 });
+
+        expect(adapter).toHaveBeenCalledWith(
+            expect.objectContaining({ url: 'http://example.com/chat/5/members?page=2' })
+        );
+    });
+
+    it('should throw when a required url param is missing in strictUrlParams mode', async () => {
+        const adapter = jest.fn();
+        const resource = createResource('get', 'http://example.com/chat/{id}/members{?page}', {
+            adapter,
+            strictUrlParams: true,
+        });
+
+        let error;
+        try {
+            await resource.call({ page: 1 });
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.message).toEqual(
+            'Invalid url params for GET http://example.com/chat/{id}/members{?page}: "id" is required'
+        );
+        expect(error.target).toEqual('url');
+        expect(error.path).toEqual('id');
+        expect(adapter).not.toHaveBeenCalled();
+        expect(resource.buildUrl({ id: 1 })).toEqual('http://example.com/chat/1/members');
+    });
+
+    it('should omit url params from the payload with omitUrlParams', async () => {
+        const adapter = jest.fn(() => ({ ok: true, status: 200, headers: {} }));
+        const resource = createResource('put', 'http://example.com/users/{id}{?notify}', {
+            adapter,
+            inputMap: { id: 'id', notify: 'notify', name: 'name' },
+            omitUrlParams: true,
+        });
+
+        await resource.call({ id: 5, notify: true, name: 'Dan' });
+
+        const request = adapter.mock.calls[0][0];
+        expect(request.url).toEqual('http://example.com/users/5?notify=true');
+        expect(Object.keys(request.body)).toEqual(['name']);
+    });
+
+    it('should iterate pages by offset through the parsers', async () => {
+        const users = [1, 2, 3, 4, 5];
+        const adapter = jest.fn(({ query }) => ({
+            ok: true,
+            status: 200,
+            headers: {},
+            body: { data: users.slice(query.skip, query.skip + query.take) },
+        }));
+        const resource = createResource('get', 'http://example.com/users/', {
+            adapter,
+            inputMap: { offset: 'skip', limit: 'take' },
+            paginate: { type: 'offset', limit: 2 },
+            parsers: [body => body.data],
+        });
+
+        const pages = [];
+        for await (const page of resource.iterate()) {
+            pages.push(page);
+        }
+
+        expect(pages).toEqual([[1, 2], [3, 4], [5]]);
+        expect(await resource.all()).toEqual(users);
+        expect(await resource.all({}, { maxPages: 2 })).toEqual([1, 2, 3, 4]);
+    });
+
+    it('should iterate pages by cursor and Link header', async () => {
+        const adapter = createMemoryAdapter({
+            'GET http://example.com/events/': request => ({
+                body: request.query.cursor
+                    ? { items: ['b'], next: undefined }
+                    : { items: ['a'], next: 'b' },
+            }),
+            'GET http://example.com/users/': {
+                headers: { link: '<http://example.com/users/2>; rel="next"' },
+                body: ['a'],
+            },
+            'GET http://example.com/users/2': { body: ['b'] },
+        });
+        const events = createResource('get', 'http://example.com/events/', {
+            adapter,
+            inputMap: { cursor: 'cursor' },
+            paginate: { type: 'cursor', cursorPath: 'next', items: result => result.items },
+        });
+        const users = createResource('get', 'http://example.com/users/', {
+            adapter,
+            paginate: { type: 'link' },
+        });
+
+        expect(await events.all()).toEqual(['a', 'b']);
+        expect(await users.all()).toEqual(['a', 'b']);
+    });
+
+    it('should stop iterating on failure response', async () => {
+        const adapter = jest.fn(() => ({ ok: false, status: 500, headers: {}, body: [1, 2] }));
+        const resource = createResource('get', 'http://example.com/users/', {
+            adapter,
+            paginate: { type: 'page' },
+        });
+
+        expect(await resource.all()).toEqual([1, 2]);
+        expect(adapter).toHaveBeenCalledTimes(1);
+    });
+
+    it('should pass response context to parsers', async () => {
+        const parser = jest.fn((data, isFailure, payload, options, statusCode, context) => context);
+        const resource = createResource('get', 'http://example.com/api/', {
+            adapter: createMemoryAdapter({
+                'GET http://example.com/api/': {
+                    statusText: 'OK',
+                    headers: { etag: '"123"', 'x-rate-limit-remaining': '10' },
+                    body: 'data',
+                },
+            }),
+            parsers: [parser],
+        });
+
+        const context = await resource.call();
+
+        expect(context).toEqual({
+            attempts: 1,
+            status: 200,
+            statusText: 'OK',
+            headers: { etag: '"123"', 'x-rate-limit-remaining': '10' },
+            url: 'http://example.com/api/',
+            duration: expect.any(Number),
+        });
+    });
+
+    it('should return the full response in raw mode', async () => {
+        const parser = jest.fn();
+        const adapter = jest.fn(() => ({
+            ok: false,
+            status: 404,
+            statusText: 'Not Found',
+            headers: { etag: '"123"' },
+            url: 'http://example.com/api/redirected',
+            body: 'missing',
+        }));
+        const resource = createResource('get', 'http://example.com/api/', {
+            adapter,
+            cache: true,
+            parsers: [parser],
+        });
+
+        const response = await resource.call(undefined, { raw: true });
+        await resource.call(undefined, { raw: true });
+
+        expect(response).toEqual({
+            ok: false,
+            attempts: 1,
+            status: 404,
+            statusText: 'Not Found',
+            headers: { etag: '"123"' },
+            url: 'http://example.com/api/redirected',
+            duration: expect.any(Number),
+            body: 'missing',
+        });
+        expect(parser).not.toHaveBeenCalled();
+        expect(adapter).toHaveBeenCalledTimes(2);
+    });
+
+    it('should pass binary response bodies to the parsers', async () => {
+        const body = new Uint8Array([1, 2, 3]);
+        const resource = createResource('get', 'http://example.com/file', {
+            adapter: () => ({ ok: true, status: 200, headers: {}, body }),
+            responseType: 'arraybuffer',
+            parsers: [data => Array.from(data)],
+        });
+
+        const result = await resource.call();
+
+        expect(result).toEqual([1, 2, 3]);
+    });
+
+    it('should pass responseType option to the adapter', async () => {
+        const adapter = jest.fn(() => ({ ok: true, status: 200, headers: {}, body: 'text' }));
+        const resource = createResource('get', 'http://example.com/export/', {
+            adapter,
+            responseType: 'text',
+        });
+
+        await resource.call();
+
+        expect(adapter).toHaveBeenCalledWith(expect.objectContaining({ responseType: 'text' }));
+    });
+
+    it('should encode form bodies', async () => {
+        const adapter = jest.fn(() => ({ ok: true, status: 200, headers: {} }));
+        const resource = createResource('post', 'http://example.com/login/', {
+            adapter,
+            bodyType: 'form',
+            inputMap: { username: 'user_name', password: 'password' },
+        });
+
+        await resource.call({ username: 'dan', password: 'a&b' });
+
+        expect(adapter).toHaveBeenCalledWith({
+            method: 'post',
+            url: 'http://example.com/login/',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: 'user_name=dan&password=a%26b',
+            bodyType: 'form',
+            withCredentials: false,
+        });
+    });
+
+    it('should encode multipart bodies and report upload progress', async () => {
+        const onUploadProgress = jest.fn();
+        const adapter = jest.fn(request => {
+            request.onUploadProgress({ loaded: 5, total: 10 });
+            return { ok: true, status: 200, headers: {} };
+        });
+        const avatar = new Blob(['image'], { type: 'image/png' });
+        const resource = createResource('put', 'http://example.com/avatar/', {
+            adapter,
+            bodyType: 'multipart',
+            inputMap: { avatar: 'avatar', userId: 'user_id' },
+            onUploadProgress,
+        });
+
+        await resource.call({ avatar, userId: 12 });
+
+        const request = adapter.mock.calls[0][0];
+        expect(request.headers).toBeUndefined();
+        expect(request.body).toBeInstanceOf(FormData);
+        expect(request.body.get('avatar')).toBeInstanceOf(Blob);
+        expect(request.body.get('user_id')).toEqual('12');
+        expect(onUploadProgress).toHaveBeenCalledWith({ loaded: 5, total: 10 });
+    });
+
+    it('should not override an explicit content type', async () => {
+        const adapter = jest.fn(() => ({ ok: true, status: 200, headers: {} }));
+        const resource = createResource('post', 'http://example.com/upload/', {
+            adapter,
+            bodyType: 'binary',
+            headersMap: { contentType: 'Content-Type' },
+            transformPayload: () => Buffer.from('content'),
+        });
+
+        await resource.call({ contentType: 'image/png' });
+
+        expect(adapter.mock.calls[0][0].headers).toEqual({ 'Content-Type': 'image/png' });
+        expect(adapter.mock.calls[0][0].body).toEqual(Buffer.from('content'));
+    });
+
+    it('should authenticate requests of a factory', async () => {
+        const adapter = jest.fn(() => ({ ok: true, status: 200, headers: {} }));
+        const createAuthResource = createResourceFactory({
+            adapter,
+            auth: { type: 'bearer', token: () => Promise.resolve('abc') },
+        });
+
+        await createAuthResource('get', 'http://example.com/me/').call();
+        await createAuthResource('post', 'http://example.com/login/', { auth: false }).call();
+
+        expect(adapter.mock.calls[0][0].headers).toEqual({ Authorization: 'Bearer abc' });
+        expect(adapter.mock.calls[1][0].headers).toBeUndefined();
+    });
+
+    it('should await async transforms and parsers in order', async () => {
+        const adapter = jest.fn(() => ({ ok: true, status: 200, headers: {}, body: { id: 1 } }));
+        const resource = createResource('post', 'http://example.com/users/', {
+            adapter,
+            inputMap: { name: 'name' },
+            transformPayload: payload => Promise.resolve({ ...payload, source: 'web' }),
+            transformHeaders: () => Promise.resolve({ Authorization: 'Bearer abc' }),
+            parsers: [
+                data => new Promise(resolve => setTimeout(() => resolve({ ...data, step: 1 }), 10)),
+                data => Promise.resolve({ ...data, step: data.step + 1 }),
+                data => ({ ...data, done: true }),
+            ],
+        });
+
+        const result = await resource.call({ name: 'Dan' });
+
+        expect(adapter).toHaveBeenCalledWith(
+            expect.objectContaining({
+                body: { name: 'Dan', source: 'web' },
+                headers: { Authorization: 'Bearer abc' },
+            })
+        );
+        expect(result).toEqual({ id: 1, step: 2, done: true });
+    });
+
+    it('should wrap async parser rejections with ParseError', async () => {
+        const resource = createResource('get', 'http://example.com/users/', {
+            adapter: () => ({ ok: true, status: 200, headers: {}, body: 'encrypted' }),
+            parsers: [() => Promise.reject(new Error('Decryption failed'))],
+        });
+
+        const promise = resource.call();
+
+        await expect(promise).rejects.toBeInstanceOf(ParseError);
+        await expect(promise).rejects.toThrow('Decryption failed');
+    });
+
+    it('should map nested and computed payload and headers', async () => {
+        const adapter = jest.fn(() => ({ ok: true, status: 200, headers: {} }));
+        const resource = createResource('post', 'http://example.com/users/{userId}', {
+            adapter,
+            inputMap: {
+                name: 'user.profile.name',
+                tags: { to: 'user.tags', default: [] },
+            },
+            headersMap: {
+                token: { to: 'Authorization', transform: token => `Bearer ${token}` },
+            },
+            passThrough: true,
+        });
+
+        await resource.call({ userId: 1, name: 'Dan', token: 'abc', source: 'web' });
+
+        expect(adapter).toHaveBeenCalledWith({
+            method: 'post',
+            url: 'http://example.com/users/1',
+            headers: { Authorization: 'Bearer abc' },
+            body: { user: { profile: { name: 'Dan' }, tags: [] }, source: 'web' },
+            withCredentials: false,
+        });
+    });
+
+    it('should reshape responses with outputMap', async () => {
+        const parser = jest.fn(data => data);
+        const resource = createResource('get', 'http://example.com/users/', {
+            adapter: () => ({
+                ok: true,
+                status: 200,
+                headers: {},
+                body: [
+                    { user_name: 'Dan', profile: { age: 23 }, created_at: '2020-01-01' },
+                    { user_name: 'Ron', profile: {}, created_at: '2020-02-01' },
+                ],
+            }),
+            outputMap: {
+                user_name: 'name',
+                'profile.age': { to: 'age', default: 0 },
+                created_at: { to: 'createdAt', transform: value => new Date(value) },
+            },
+            parsers: [parser],
+        });
+
+        const result = await resource.call();
+
+        expect(result).toEqual([
+            { name: 'Dan', age: 23, createdAt: new Date('2020-01-01') },
+            { name: 'Ron', age: 0, createdAt: new Date('2020-02-01') },
+        ]);
+        expect(parser.mock.calls[0][0]).toEqual(result);
+    });
+
+    it('should not apply outputMap to failure responses', async () => {
+        const resource = createResource('get', 'http://example.com/users/', {
+            adapter: () => ({ ok: false, status: 404, headers: {}, body: { error: 'missing' } }),
+            outputMap: { user_name: 'name' },
+        });
+
+        expect(await resource.call()).toEqual({ error: 'missing' });
+    });
+
+    it('should emit lifecycle events on resources and factories', async () => {
+        const adapter = jest
+            .fn()
+            .mockReturnValueOnce({ ok: false, status: 503, headers: {} })
+            .mockReturnValueOnce({ ok: true, status: 200, headers: {}, body: 'ok' });
+        const createObservedResource = createResourceFactory({ adapter });
+        const factoryListener = jest.fn();
+        createObservedResource.on('response', factoryListener);
+        const resource = createObservedResource('get', 'http://example.com/users/', {
+            name: 'users.list',
+            retry: { delay: 0 },
+        });
+        const events = [];
+        ['request', 'retry', 'response', 'failure'].forEach(event =>
+            resource.on(event, data => events.push([event, data]))
+        );
+
+        await resource.call();
+
+        expect(events).toEqual([
+            [
+                'request',
+                {
+                    name: 'users.list',
+                    method: 'get',
+                    url: 'http://example.com/users/',
+                    request: expect.any(Object),
+                },
+            ],
+            [
+                'retry',
+                {
+                    name: 'users.list',
+                    method: 'get',
+                    url: 'http://example.com/users/',
+                    attempt: 1,
+                    delay: 0,
+                    response: { ok: false, status: 503, headers: {} },
+                },
+            ],
+            [
+                'response',
+                {
+                    name: 'users.list',
+                    method: 'get',
+                    url: 'http://example.com/users/',
+                    status: 200,
+                    duration: expect.any(Number),
+                    attempts: 2,
+                    response: { ok: true, status: 200, headers: {}, body: 'ok' },
+                },
+            ],
+        ]);
+        expect(factoryListener).toHaveBeenCalledWith(expect.objectContaining({ status: 200 }));
+    });
+
+    it('should emit failure and parseError events', async () => {
+        const createObservedResource = createResourceFactory({
+            adapter: jest
+                .fn()
+                .mockReturnValueOnce({ ok: false, status: 404, headers: {} })
+                .mockReturnValueOnce({ ok: true, status: 200, headers: {} })
+                .mockImplementationOnce(() => Promise.reject(new Error('Network Error'))),
+        });
+        const failures = [];
+        const parseErrors = [];
+        createObservedResource.on('failure', data => failures.push(data));
+        createObservedResource.on('parseError', data => parseErrors.push(data));
+        const resource = createObservedResource('get', 'http://example.com/users/', {
+            parsers: [
+                (data, isFailure) => {
+                    if (!isFailure) {
+                        throw new Error('Unexpected body');
+                    }
+                    return data;
+                },
+            ],
+        });
+
+        await resource.call();
+        await expect(resource.call()).rejects.toBeInstanceOf(ParseError);
+        await expect(resource.call()).rejects.toBeInstanceOf(NetworkError);
+
+        expect(failures).toEqual([
+            expect.objectContaining({ name: 'GET http://example.com/users/', status: 404 }),
+            expect.objectContaining({ error: expect.any(NetworkError) }),
+        ]);
+        expect(parseErrors).toEqual([
+            expect.objectContaining({ status: 200, error: expect.any(ParseError) }),
+        ]);
+    });
+
+    it('should emit parseError for a malformed response body', async () => {
+        const error = new ParseError('Unexpected token', { status: 200 });
+        const resource = createResource('get', 'http://example.com/users/', {
+            adapter: () => Promise.reject(error),
+        });
+        const failures = [];
+        const parseErrors = [];
+        resource.on('failure', data => failures.push(data));
+        resource.on('parseError', data => parseErrors.push(data));
+
+        await expect(resource.call()).rejects.toBe(error);
+
+        expect(failures).toEqual([expect.objectContaining({ error })]);
+        expect(parseErrors).toEqual([
+            expect.objectContaining({ name: 'GET http://example.com/users/', status: 200, error }),
+        ]);
+    });
+
+    it('should share a limiter between the resources of a factory', async () => {
+        const responses = [];
+        const adapter = jest.fn(
+            () =>
+                new Promise(resolve => {
+                    responses.push(() => resolve({ ok: true, status: 200, headers: {} }));
+                })
+        );
+        const createLimitedResource = createResourceFactory({
+            adapter,
+            limiter: { concurrency: 1 },
+        });
+        const getUsers = createLimitedResource('get', 'http://example.com/users/');
+        const getGroups = createLimitedResource('get', 'http://example.com/groups/');
+
+        const calls = [getUsers.call(), getGroups.call()];
+        await new Promise(resolve => setTimeout(resolve));
+        expect(adapter).toHaveBeenCalledTimes(1);
+
+        responses[0]();
+        await new Promise(resolve => setTimeout(resolve));
+        expect(adapter).toHaveBeenCalledTimes(2);
+
+        responses[1]();
+        await Promise.all(calls);
+    });
+
+    it('should time out calls waiting in the limiter queue', async () => {
+        const adapter = jest.fn(() => new Promise(() => {}));
+        const limiter = createLimiter({ concurrency: 1 });
+        const createLimitedResource = createResourceFactory({ adapter, limiter });
+
+        createLimitedResource('get', 'http://example.com/users/').call();
+        const promise = createLimitedResource('get', 'http://example.com/groups/', {
+            timeout: 10,
+        }).call();
+
+        await expect(promise).rejects.toBeInstanceOf(TimeoutError);
+        expect(adapter).toHaveBeenCalledTimes(1);
+        expect(limiter.pending).toEqual(0);
+    });
+
+    it('should keep factory defaults isolated', async () => {
+        const adapter = jest.fn(() => ({ ok: true, status: 200, headers: {} }));
+        const factoryOptions = { adapter, headers: { 'x-app': 'first' } };
+        const createFirstResource = createResourceFactory(factoryOptions);
+        const createSecondResource = createResourceFactory({ adapter });
+        factoryOptions.headers = { 'x-app': 'changed' };
+
+        await createFirstResource('get', 'http://example.com/api/').call();
+        await createSecondResource('get', 'http://example.com/api/').call();
+
+        expect(adapter.mock.calls[0][0].headers).toEqual({ 'x-app': 'first' });
+        expect(adapter.mock.calls[1][0].headers).toBeUndefined();
+    });
+
+    it('should merge options when extending a factory', async () => {
+        const adapter = jest.fn(() => ({ ok: true, status: 200, headers: {}, body: 1 }));
+        const createBaseResource = createResourceFactory({
+            adapter,
+            headers: { 'x-app': 'web', 'x-version': '1' },
+            transformPayload: payload => ({ ...payload, base: true }),
+            parsers: [value => value + 1],
+        });
+        const createExtendedResource = createBaseResource.extend({
+            headers: { 'x-version': '2' },
+            transformPayload: async payload => ({ ...payload, extended: true }),
+            parsers: [value => value * 10],
+        });
+
+        const result = await createExtendedResource('post', 'http://example.com/api/', {
+            headersMap: { token: 'x-token' },
+        }).call({ token: '1234' });
+
+        expect(result).toEqual(20);
+        expect(adapter).toHaveBeenCalledWith(
+            expect.objectContaining({
+                headers: { 'x-app': 'web', 'x-version': '2', 'x-token': '1234' },
+                body: { base: true, extended: true },
+            })
+        );
+        await createBaseResource('post', 'http://example.com/api/').call();
+        expect(adapter.mock.calls[1][0].headers).toEqual({ 'x-app': 'web', 'x-version': '1' });
+    });
+
+    it('should share the limiter and bubble events to the parent factory', async () => {
+        const adapter = jest.fn(() => new Promise(() => {}));
+        const createBaseResource = createResourceFactory({ adapter, limiter: { concurrency: 1 } });
+        const createExtendedResource = createBaseResource.extend({ name: 'extended' });
+        const listener = jest.fn();
+        createBaseResource.on('request', listener);
+
+        createBaseResource('get', 'http://example.com/users/').call();
+        createExtendedResource('get', 'http://example.com/groups/').call();
+        await new Promise(resolve => setTimeout(resolve));
+
+        expect(adapter).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({ name: 'extended' }));
+    });
+
+    it('should resolve relative urls against baseURL', async () => {
+        const adapter = jest.fn(() => ({ ok: true, status: 200, headers: {} }));
+        const createCustomResource = createResourceFactory({
+            adapter,
+            baseURL: 'http://example.com/api/',
+        });
+
+        const getUser = createCustomResource('get', '/users/{id}');
+        await getUser.call({ id: 1 });
+        await createCustomResource('get', 'http://other.com/users/').call();
+
+        expect(getUser.buildUrl({ id: 2 })).toEqual('http://example.com/api/users/2');
+        expect(getUser.getProperties().apiUrl).toEqual('http://example.com/api/users/{id}');
+        expect(adapter.mock.calls[0][0].url).toEqual('http://example.com/api/users/1');
+        expect(adapter.mock.calls[1][0].url).toEqual('http://other.com/users/');
+    });
+
+    it('should merge per call option overrides', async () => {
+        const adapter = jest.fn(() => ({ ok: true, status: 200, headers: {}, body: 'done' }));
+        const otherAdapter = jest.fn(() => ({ ok: true, status: 200, headers: {}, body: 'other' }));
+        const resource = createResource('get', 'http://example.com/api/', {
+            adapter,
+            headers: { 'x-app': 'web' },
+        });
+
+        const result = await resource.call(undefined, {
+            headers: { 'x-trace': '1' },
+            parsers: [value => value.toUpperCase()],
+        });
+        const otherResult = await resource.call(undefined, { adapter: otherAdapter });
+        await resource.call();
+
+        expect(result).toEqual('DONE');
+        expect(otherResult).toEqual('other');
+        expect(adapter.mock.calls[0][0].headers).toEqual({ 'x-app': 'web', 'x-trace': '1' });
+        expect(adapter.mock.calls[1][0].headers).toEqual({ 'x-app': 'web' });
+        expect(otherAdapter).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip the cache for calls with option overrides', async () => {
+        const adapter = jest.fn(() => ({ ok: true, status: 200, headers: {}, body: 'done' }));
+        const resource = createResource('get', 'http://example.com/api/', {
+            adapter,
+            cache: true,
+        });
+
+        await resource.call();
+        const result = await resource.call(undefined, { parsers: [value => value.toUpperCase()] });
+        const cachedResult = await resource.call();
+
+        expect(result).toEqual('DONE');
+        expect(cachedResult).toEqual('done');
+        expect(adapter).toHaveBeenCalledTimes(2);
+    });
 });
@@ -0,0 +1,26 @@
+function createErrorType(name, Parent = Error) {
+    function ErrorType(message, properties) {
+        this.name = name;
+        this.message = message;
+        Object.assign(this, properties);
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, ErrorType);
+        } else {
+            this.stack = new Error(message).stack;
+        }
+    }
+    ErrorType.prototype = Object.create(Parent.prototype, {
+        constructor: { value: ErrorType, writable: true, configurable: true },
+    });
+    return ErrorType;
+}
+
+export const PlainApiError = createErrorType('PlainApiError');
+export const CancelError = createErrorType('CancelError', PlainApiError);
+export const TimeoutError = createErrorType('TimeoutError', PlainApiError);
+export const NetworkError = createErrorType('NetworkError', PlainApiError);
+export const HttpError = createErrorType('HttpError', PlainApiError);
+export const ParseError = createErrorType('ParseError', PlainApiError);
+export const ValidationError = createErrorType('ValidationError', PlainApiError);
+export const UnmatchedRequestError = createErrorType('UnmatchedRequestError', PlainApiError);
+export const OfflineError = createErrorType('OfflineError', NetworkError);
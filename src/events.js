@@ -0,0 +1,97 @@
+export const EVENTS = ['request', 'response', 'failure', 'retry', 'parseError'];
+
+export function createEmitter() {
+    const listeners = {};
+
+    function off(event, listener) {
+        listeners[event] = (listeners[event] || []).filter(item => item !== listener);
+    }
+
+    function on(event, listener) {
+        if (EVENTS.indexOf(event) === -1) {
+            throw new Error(`Invalid event ${event}`);
+        }
+        listeners[event] = [...(listeners[event] || []), listener];
+        return () => off(event, listener);
+    }
+
+    function emit(event, data) {
+        (listeners[event] || []).forEach(listener => {
+            try {
+                listener(data);
+            } catch (err) {
+                // A failing listener should not fail the request or crash the process
+                console.error(`Error in ${event} listener:`, err);
+            }
+        });
+    }
+
+    return { on, off, emit };
+}
+
+function createEndpointStats() {
+    return {
+        calls: 0,
+        errors: 0,
+        errorRate: 0,
+        totalDuration: 0,
+        averageDuration: 0,
+        minDuration: undefined,
+        maxDuration: undefined,
+    };
+}
+
+export function createStats(target) {
+    let endpoints = {};
+    // A malformed response body emits both failure and parseError, but is a single error
+    const countedErrors = new WeakSet();
+
+    function record(name, { duration, isCall, isError }) {
+        const stats = endpoints[name] || createEndpointStats();
+        if (isCall) {
+            stats.calls += 1;
+            stats.totalDuration += duration;
+            stats.averageDuration = stats.totalDuration / stats.calls;
+            stats.minDuration =
+                stats.minDuration === undefined ? duration : Math.min(stats.minDuration, duration);
+            stats.maxDuration =
+                stats.maxDuration === undefined ? duration : Math.max(stats.maxDuration, duration);
+        }
+        if (isError) {
+            stats.errors += 1;
+        }
+        stats.errorRate = stats.calls ? stats.errors / stats.calls : 0;
+        endpoints[name] = stats;
+    }
+
+    const unsubscribers = [
+        target.on('response', ({ name, duration }) => record(name, { duration, isCall: true })),
+        target.on('failure', ({ name, duration, response, error }) => {
+            if (error) {
+                countedErrors.add(error);
+            }
+            record(name, { duration, isCall: !response, isError: true });
+        }),
+        target.on('parseError', ({ name, error }) =>
+            record(name, { isError: !error || !countedErrors.has(error) })
+        ),
+    ];
+
+    return {
+        get(name) {
+            if (name !== undefined) {
+                return endpoints[name] ? { ...endpoints[name] } : undefined;
+            }
+            return Object.keys(endpoints).reduce(
+                (all, key) => ({ ...all, [key]: { ...endpoints[key] } }),
+                {}
+            );
+        },
+        reset() {
+            endpoints = {};
+        },
+        stop() {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+        },
+    };
+}
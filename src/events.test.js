@@ -0,0 +1,131 @@
+import { createEmitter, createStats } from './events';
+import { createResource } from './create-resource';
+import { ParseError } from './errors';
+
+describe('Events Test', () => {
+    it('should emit events to listeners', () => {
+        const emitter = createEmitter();
+        const listener = jest.fn();
+
+        const unsubscribe = emitter.on('request', listener);
+        emitter.emit('request', { name: 'a' });
+        unsubscribe();
+        emitter.emit('request', { name: 'b' });
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledWith({ name: 'a' });
+    });
+
+    it('should remove listeners with off()', () => {
+        const emitter = createEmitter();
+        const listener = jest.fn();
+
+        emitter.on('response', listener);
+        emitter.off('response', listener);
+        emitter.emit('response', {});
+
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should throw on unknown events', () => {
+        expect(() => createEmitter().on('done', () => {})).toThrow('Invalid event done');
+    });
+
+    it('should report a failing listener without affecting other listeners', () => {
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const emitter = createEmitter();
+        const listener = jest.fn();
+        const error = new Error('Listener failed');
+
+        emitter.on('failure', () => {
+            throw error;
+        });
+        emitter.on('failure', listener);
+        emitter.emit('failure', {});
+
+        expect(listener).toHaveBeenCalled();
+        expect(consoleError).toHaveBeenCalledWith('Error in failure listener:', error);
+        consoleError.mockRestore();
+    });
+
+    it('should aggregate per endpoint stats', () => {
+        const emitter = createEmitter();
+        const stats = createStats(emitter);
+
+        emitter.emit('response', { name: 'users.list', duration: 10 });
+        emitter.emit('response', { name: 'users.list', duration: 30 });
+        emitter.emit('failure', { name: 'users.list', duration: 30, response: {} });
+        emitter.emit('failure', { name: 'users.list', duration: 20, error: new Error() });
+        emitter.emit('parseError', { name: 'users.get', duration: 5 });
+        emitter.emit('response', { name: 'users.get', duration: 5 });
+
+        expect(stats.get()).toEqual({
+            'users.list': {
+                calls: 3,
+                errors: 2,
+                errorRate: 2 / 3,
+                totalDuration: 60,
+                averageDuration: 20,
+                minDuration: 10,
+                maxDuration: 30,
+            },
+            'users.get': {
+                calls: 1,
+                errors: 1,
+                errorRate: 1,
+                totalDuration: 5,
+                averageDuration: 5,
+                minDuration: 5,
+                maxDuration: 5,
+            },
+        });
+        expect(stats.get('users.get').calls).toEqual(1);
+        expect(stats.get('users.remove')).toBeUndefined();
+    });
+
+    it('should count a failure response with a failing parser as a single error', async () => {
+        const resource = createResource('get', 'http://example.com/users/', {
+            adapter: () => ({ ok: false, status: 500, headers: {}, body: 'error' }),
+            parsers: [
+                () => {
+                    throw new Error('Unexpected body');
+                },
+            ],
+        });
+        const stats = createStats(resource);
+
+        await resource.call().catch(() => undefined);
+
+        expect(stats.get('GET http://example.com/users/')).toEqual(
+            expect.objectContaining({ calls: 1, errors: 1, errorRate: 1 })
+        );
+    });
+
+    it('should count a malformed response body as a single error', async () => {
+        const resource = createResource('get', 'http://example.com/users/', {
+            adapter: () => {
+                throw new ParseError('Unexpected token', { status: 200 });
+            },
+        });
+        const stats = createStats(resource);
+
+        await resource.call().catch(() => undefined);
+
+        expect(stats.get('GET http://example.com/users/')).toEqual(
+            expect.objectContaining({ calls: 1, errors: 1, errorRate: 1 })
+        );
+    });
+
+    it('should reset and stop collecting stats', () => {
+        const emitter = createEmitter();
+        const stats = createStats(emitter);
+
+        emitter.emit('response', { name: 'a', duration: 1 });
+        stats.reset();
+        expect(stats.get()).toEqual({});
+
+        stats.stop();
+        emitter.emit('response', { name: 'a', duration: 1 });
+        expect(stats.get()).toEqual({});
+    });
+});
@@ -0,0 +1,13 @@
+function findHeaderName(headers, name) {
+    const lowerName = name.toLowerCase();
+    return Object.keys(headers || {}).find(key => key.toLowerCase() === lowerName);
+}
+
+export function hasHeader(headers, name) {
+    return findHeaderName(headers, name) !== undefined;
+}
+
+export function getHeader(headers, name) {
+    const headerName = findHeaderName(headers, name);
+    return headerName === undefined ? undefined : headers[headerName];
+}
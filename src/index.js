@@ -1 +1,20 @@
 export { createResource, createResourceFactory } from './create-resource';
+export { createFetchAdapter, fetchAdapter, createMemoryAdapter } from './adapters';
+export {
+    PlainApiError,
+    CancelError,
+    TimeoutError,
+    NetworkError,
+    HttpError,
+    ParseError,
+    ValidationError,
+    OfflineError,
+} from './errors';
+export { validateSchema } from './validation';
+export { createMemoryStore } from './cache';
+export { createApi, crud } from './create-api';
+export { createStats } from './events';
+export { fromOpenApi } from './openapi';
+export { createLimiter } from './limiter';
+export { batch, pipeline } from './compose';
+export { createOfflineQueue, createMemoryQueueStorage, createWebQueueStorage } from './offline';
@@ -0,0 +1,95 @@
+import { CancelError } from './errors';
+
+const defaultLimiterOptions = {
+    concurrency: Infinity,
+    requests: Infinity,
+    interval: 1000,
+};
+
+export function createLimiter(limiterOptions = {}) {
+    const { concurrency, requests, interval } = { ...defaultLimiterOptions, ...limiterOptions };
+    let queue = [];
+    let active = 0;
+    let tokens = requests;
+    let lastRefill = Date.now();
+    let timer;
+
+    function refill() {
+        const now = Date.now();
+        tokens = Math.min(requests, tokens + ((now - lastRefill) * requests) / interval);
+        lastRefill = now;
+    }
+
+    function waitForToken(callback) {
+        if (!timer) {
+            timer = setTimeout(() => {
+                timer = undefined;
+                callback();
+            }, Math.ceil(((1 - tokens) * interval) / requests));
+        }
+    }
+
+    function next() {
+        while (queue.length > 0 && active < concurrency) {
+            if (requests !== Infinity) {
+                refill();
+                if (tokens < 1) {
+                    waitForToken(next);
+                    return;
+                }
+                tokens -= 1;
+            }
+            active += 1;
+            const item = queue.shift();
+            item.start();
+        }
+    }
+
+    function schedule(task, { priority = 0, signal } = {}) {
+        return new Promise((resolve, reject) => {
+            let removeAbortListener = () => {};
+
+            const item = {
+                priority,
+                start() {
+                    removeAbortListener();
+                    Promise.resolve()
+                        .then(task)
+                        .then(resolve, reject)
+                        .then(() => {
+                            active -= 1;
+                            next();
+                        });
+                },
+            };
+
+            if (signal) {
+                if (signal.aborted) {
+                    reject(new CancelError('Request was cancelled'));
+                    return;
+                }
+                const onAbort = () => {
+                    queue = queue.filter(queued => queued !== item);
+                    reject(new CancelError('Request was cancelled'));
+                };
+                signal.addEventListener('abort', onAbort);
+                removeAbortListener = () => signal.removeEventListener('abort', onAbort);
+            }
+
+            // Higher priority first, first in first out within the same priority
+            const index = queue.findIndex(queued => queued.priority < priority);
+            queue.splice(index === -1 ? queue.length : index, 0, item);
+            next();
+        });
+    }
+
+    return {
+        schedule,
+        get pending() {
+            return queue.length;
+        },
+        get active() {
+            return active;
+        },
+    };
+}
@@ -0,0 +1,112 @@
+import { CancelError } from './errors';
+import { createLimiter } from './limiter';
+
+function createDeferred() {
+    let resolve;
+    const promise = new Promise(res => {
+        resolve = res;
+    });
+    return { promise, resolve };
+}
+
+function flush() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('Limiter Test', () => {
+    it('should limit concurrent tasks', async () => {
+        const limiter = createLimiter({ concurrency: 2 });
+        const deferreds = [createDeferred(), createDeferred(), createDeferred()];
+        const tasks = deferreds.map(deferred => jest.fn(() => deferred.promise));
+
+        const results = tasks.map(task => limiter.schedule(task));
+        await flush();
+
+        expect(tasks.map(task => task.mock.calls.length)).toEqual([1, 1, 0]);
+        expect(limiter.active).toEqual(2);
+        expect(limiter.pending).toEqual(1);
+
+        deferreds[0].resolve('a');
+        await flush();
+        expect(tasks[2]).toHaveBeenCalled();
+
+        deferreds[1].resolve('b');
+        deferreds[2].resolve('c');
+        expect(await Promise.all(results)).toEqual(['a', 'b', 'c']);
+        expect(limiter.active).toEqual(0);
+    });
+
+    it('should run queued tasks by priority', async () => {
+        const limiter = createLimiter({ concurrency: 1 });
+        const first = createDeferred();
+        const order = [];
+        const task = name => () => {
+            order.push(name);
+            return name === 'first' ? first.promise : name;
+        };
+
+        const results = [
+            limiter.schedule(task('first')),
+            limiter.schedule(task('low'), { priority: -1 }),
+            limiter.schedule(task('normal')),
+            limiter.schedule(task('high'), { priority: 10 }),
+            limiter.schedule(task('normal2')),
+        ];
+        await flush();
+        first.resolve();
+        await Promise.all(results);
+
+        expect(order).toEqual(['first', 'high', 'normal', 'normal2', 'low']);
+    });
+
+    it('should limit requests per interval', async () => {
+        const limiter = createLimiter({ requests: 2, interval: 100 });
+        const task = jest.fn(() => Date.now());
+
+        const start = Date.now();
+        const results = await Promise.all([1, 2, 3].map(() => limiter.schedule(task)));
+
+        expect(results[0] - start).toBeLessThan(40);
+        expect(results[1] - start).toBeLessThan(40);
+        expect(results[2] - start).toBeGreaterThanOrEqual(45);
+    });
+
+    it('should cancel queued tasks', async () => {
+        const limiter = createLimiter({ concurrency: 1 });
+        const first = createDeferred();
+        const controller = new AbortController();
+        const task = jest.fn();
+
+        const firstResult = limiter.schedule(() => first.promise);
+        const result = limiter.schedule(task, { signal: controller.signal });
+        controller.abort();
+
+        await expect(result).rejects.toBeInstanceOf(CancelError);
+        expect(limiter.pending).toEqual(0);
+
+        first.resolve();
+        await firstResult;
+        await flush();
+        expect(task).not.toHaveBeenCalled();
+    });
+
+    it('should reject tasks with an aborted signal', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        const task = jest.fn();
+
+        await expect(
+            createLimiter().schedule(task, { signal: controller.signal })
+        ).rejects.toBeInstanceOf(CancelError);
+        expect(task).not.toHaveBeenCalled();
+    });
+
+    it('should release the slot of a failed task', async () => {
+        const limiter = createLimiter({ concurrency: 1 });
+
+        await expect(limiter.schedule(() => Promise.reject(new Error('Failed')))).rejects.toThrow(
+            'Failed'
+        );
+        expect(await limiter.schedule(() => 'next')).toEqual('next');
+    });
+});
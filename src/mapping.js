@@ -0,0 +1,66 @@
+function isObject(value) {
+    return !!value && typeof value === 'object';
+}
+
+export function getPath(source, path) {
+    if (!isObject(source)) {
+        return undefined;
+    }
+    if (Object.prototype.hasOwnProperty.call(source, path)) {
+        return source[path];
+    }
+    return path
+        .split('.')
+        .reduce((value, key) => (isObject(value) ? value[key] : undefined), source);
+}
+
+export function setPath(target, path, value) {
+    const [key, ...keys] = path.split('.');
+    if (keys.length === 0) {
+        return { ...target, [key]: value };
+    }
+    const child = isObject(target[key]) ? target[key] : {};
+    return { ...target, [key]: setPath(child, keys.join('.'), value) };
+}
+
+function normalizeMapping(key, mapping) {
+    return typeof mapping === 'string' ? { to: mapping } : { to: key, ...mapping };
+}
+
+function getRootKey(path) {
+    return path.split('.')[0];
+}
+
+export function getMappedKeys(map = {}) {
+    return Object.keys(map).map(getRootKey);
+}
+
+export async function applyMap(
+    map = {},
+    source,
+    { passThrough = false, omittedKeys = [], excludedKeys = [] } = {}
+) {
+    const result = {};
+    if (passThrough && isObject(source)) {
+        const skippedKeys = [...getMappedKeys(map), ...omittedKeys, ...excludedKeys];
+        Object.keys(source)
+            .filter(key => skippedKeys.indexOf(key) === -1)
+            .forEach(key => {
+                result[key] = source[key];
+            });
+    }
+
+    const keys = Object.keys(map).filter(key => omittedKeys.indexOf(getRootKey(key)) === -1);
+    const mappings = keys.map(key => normalizeMapping(key, map[key]));
+    const values = await Promise.all(
+        keys.map(async (key, index) => {
+            const { transform, default: defaultValue } = mappings[index];
+            let value = getPath(source, key);
+            if (value === undefined) {
+                value = typeof defaultValue === 'function' ? defaultValue(source) : defaultValue;
+            }
+            return transform ? transform(value, source) : value;
+        })
+    );
+    return mappings.reduce((mapped, { to }, index) => setPath(mapped, to, values[index]), result);
+}
@@ -0,0 +1,78 @@
+import { applyMap, getPath, setPath } from './mapping';
+
+describe('Mapping Test', () => {
+    it('should get values by dot paths', () => {
+        const source = { user: { profile: { name: 'Dan' } }, 'a.b': 1 };
+
+        expect(getPath(source, 'user.profile.name')).toEqual('Dan');
+        expect(getPath(source, 'user.address.city')).toBeUndefined();
+        expect(getPath(source, 'a.b')).toEqual(1);
+        expect(getPath(undefined, 'a')).toBeUndefined();
+    });
+
+    it('should set values by dot paths', () => {
+        expect(setPath({ user: { id: 1 } }, 'user.profile.name', 'Dan')).toEqual({
+            user: { id: 1, profile: { name: 'Dan' } },
+        });
+    });
+
+    it('should rename keys', async () => {
+        expect(
+            await applyMap({ name: 'user_name', age: 'user_age' }, { name: 'Dan', age: 23, x: 1 })
+        ).toEqual({
+            user_name: 'Dan',
+            user_age: 23,
+        });
+    });
+
+    it('should map nested paths', async () => {
+        const result = await applyMap(
+            { name: 'user.profile.name', 'address.city': 'user.city' },
+            { name: 'Dan', address: { city: 'Paris' } }
+        );
+
+        expect(result).toEqual({ user: { profile: { name: 'Dan' }, city: 'Paris' } });
+    });
+
+    it('should apply transforms and defaults', async () => {
+        const result = await applyMap(
+            {
+                name: { to: 'user_name', transform: name => name.toUpperCase() },
+                role: { default: 'member' },
+                createdAt: { to: 'created_at', default: () => 'now' },
+                fullName: {
+                    to: 'full_name',
+                    transform: (value, source) => Promise.resolve(`${source.first} ${source.last}`),
+                },
+            },
+            { name: 'dan', first: 'Dan', last: 'Smith' }
+        );
+
+        expect(result).toEqual({
+            user_name: 'DAN',
+            role: 'member',
+            created_at: 'now',
+            full_name: 'Dan Smith',
+        });
+    });
+
+    it('should pass through unmapped keys', async () => {
+        const result = await applyMap(
+            { name: 'user_name', 'address.city': 'city' },
+            { name: 'Dan', age: 23, address: { city: 'Paris' }, token: 'abc', id: 1 },
+            { passThrough: true, omittedKeys: ['id'], excludedKeys: ['token'] }
+        );
+
+        expect(result).toEqual({ user_name: 'Dan', age: 23, city: 'Paris' });
+    });
+
+    it('should skip omitted keys', async () => {
+        expect(
+            await applyMap(
+                { id: 'id', name: 'name' },
+                { id: 1, name: 'Dan' },
+                { omittedKeys: ['id'] }
+            )
+        ).toEqual({ name: 'Dan' });
+    });
+});
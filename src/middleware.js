@@ -0,0 +1,15 @@
+export function composeMiddleware(middleware = [], handler) {
+    const middlewareArr = Array.isArray(middleware) ? middleware : [middleware];
+
+    async function invoke(index, request) {
+        if (index === middlewareArr.length) {
+            return handler(request);
+        }
+        const next = (nextRequest = request) => invoke(index + 1, nextRequest);
+        return middlewareArr[index](request, next);
+    }
+
+    return function dispatch(request) {
+        return invoke(0, request);
+    };
+}
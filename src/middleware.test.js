@@ -0,0 +1,73 @@
+import { composeMiddleware } from './middleware';
+
+describe('Middleware Test', () => {
+    it('should call the handler when there is no middleware', async () => {
+        const handler = jest.fn(() => ({ status: 200 }));
+        const dispatch = composeMiddleware(undefined, handler);
+
+        const response = await dispatch({ url: 'http://example.com' });
+
+        expect(response).toEqual({ status: 200 });
+        expect(handler).toHaveBeenCalledWith({ url: 'http://example.com' });
+    });
+
+    it('should invoke middleware in onion order', async () => {
+        const order = [];
+        const createMiddleware = name => async (request, next) => {
+            order.push(`${name} before`);
+            const response = await next();
+            order.push(`${name} after`);
+            return response;
+        };
+        const dispatch = composeMiddleware([createMiddleware('a'), createMiddleware('b')], () => {
+            order.push('handler');
+            return {};
+        });
+
+        await dispatch({});
+
+        expect(order).toEqual(['a before', 'b before', 'handler', 'b after', 'a after']);
+    });
+
+    it('should allow middleware to modify the request and the response', async () => {
+        const handler = jest.fn(request => ({ body: request.url }));
+        const dispatch = composeMiddleware(async (request, next) => {
+            const response = await next({ ...request, url: `${request.url}?v=2` });
+            return { ...response, body: response.body.toUpperCase() };
+        }, handler);
+
+        const response = await dispatch({ url: 'http://example.com' });
+
+        expect(response).toEqual({ body: 'HTTP://EXAMPLE.COM?V=2' });
+    });
+
+    it('should allow middleware to short-circuit the request', async () => {
+        const handler = jest.fn();
+        const dispatch = composeMiddleware(() => ({ status: 204 }), handler);
+
+        const response = await dispatch({});
+
+        expect(response).toEqual({ status: 204 });
+        expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should allow middleware to re-issue the request', async () => {
+        const handler = jest
+            .fn()
+            .mockImplementationOnce(() => ({ status: 401 }))
+            .mockImplementationOnce(() => ({ status: 200 }));
+        const dispatch = composeMiddleware(async (request, next) => {
+            const response = await next();
+            if (response.status === 401) {
+                return next({ ...request, headers: { Authorization: 'fresh' } });
+            }
+            return response;
+        }, handler);
+
+        const response = await dispatch({ headers: { Authorization: 'stale' } });
+
+        expect(response).toEqual({ status: 200 });
+        expect(handler).toHaveBeenCalledTimes(2);
+        expect(handler).toHaveBeenLastCalledWith({ headers: { Authorization: 'fresh' } });
+    });
+});
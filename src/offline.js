@@ -0,0 +1,224 @@
+import { NetworkError } from './errors';
+import { hasHeader, getHeader } from './headers';
+
+function generateIdempotencyKey() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+        const random = Math.floor(Math.random() * 16);
+        return (char === 'x' ? random : (random % 4) + 8).toString(16);
+    });
+}
+
+function toStoredRequest({
+    method,
+    url,
+    query,
+    headers,
+    body,
+    bodyType,
+    withCredentials,
+    responseType,
+}) {
+    return { method, url, query, headers, body, bodyType, withCredentials, responseType };
+}
+
+export function createMemoryQueueStorage(initialItems = []) {
+    let items = initialItems;
+    return {
+        load: () => items,
+        save: nextItems => {
+            items = nextItems;
+        },
+    };
+}
+
+function isSerializable(value) {
+    if (value === null || value === undefined || value instanceof Date) {
+        return true;
+    }
+    if (['string', 'number', 'boolean'].indexOf(typeof value) !== -1) {
+        return true;
+    }
+    if (Array.isArray(value)) {
+        return value.every(isSerializable);
+    }
+    const prototype = typeof value === 'object' ? Object.getPrototypeOf(value) : undefined;
+    if (prototype !== Object.prototype && prototype !== null) {
+        return false;
+    }
+    return Object.keys(value).every(key => isSerializable(value[key]));
+}
+
+export function createWebQueueStorage(webStorage, key = 'plain-api-offline-queue') {
+    return {
+        load() {
+            const value = webStorage.getItem(key);
+            return value ? JSON.parse(value) : [];
+        },
+        save(items) {
+            const invalidItem = items.find(
+                item => !isSerializable(item.request.body) || !isSerializable(item.payload)
+            );
+            if (invalidItem) {
+                throw new Error(
+                    `The request of ${invalidItem.name} cannot be persisted in web storage`
+                );
+            }
+            // Call option overrides (parsers and other functions) are kept in memory only
+            webStorage.setItem(key, JSON.stringify(items.map(({ overrides, ...item }) => item)));
+        },
+    };
+}
+
+export function createOfflineQueue({
+    storage = createMemoryQueueStorage(),
+    methods = ['post', 'put', 'patch'],
+    idempotencyHeader = 'Idempotency-Key',
+    generateKey = generateIdempotencyKey,
+} = {}) {
+    const senders = {};
+    let listeners = [];
+    let itemsPromise;
+    let replaying;
+    let nextId = Date.now();
+
+    function load() {
+        if (!itemsPromise) {
+            itemsPromise = Promise.resolve(storage.load()).then(items => items || []);
+        }
+        return itemsPromise;
+    }
+
+    function update(updateItems) {
+        // Updates are chained so concurrent updates never work on a stale copy of the items
+        const previous = load();
+        const updating = previous.then(async items => {
+            const nextItems = updateItems(items);
+            await storage.save(nextItems);
+            listeners.forEach(listener => listener(nextItems));
+            return nextItems;
+        });
+        itemsPromise = updating.then(
+            items => items,
+            () => previous
+        );
+        return updating;
+    }
+
+    function remove(item) {
+        return update(items => items.filter(({ id }) => id !== item.id));
+    }
+
+    function accepts(method) {
+        return methods.indexOf(method.toLowerCase()) !== -1;
+    }
+
+    function prepare(request) {
+        if (!idempotencyHeader || hasHeader(request.headers, idempotencyHeader)) {
+            return request;
+        }
+        return { ...request, headers: { ...request.headers, [idempotencyHeader]: generateKey() } };
+    }
+
+    async function enqueue({ name, request, payload, overrides }) {
+        const key = idempotencyHeader ? getHeader(request.headers, idempotencyHeader) : undefined;
+        let queuedItem;
+        await update(items => {
+            queuedItem = key !== undefined ? items.find(item => item.key === key) : undefined;
+            if (queuedItem) {
+                return items;
+            }
+            nextId += 1;
+            queuedItem = {
+                id: String(nextId),
+                key,
+                name,
+                request: toStoredRequest(request),
+                payload,
+                overrides,
+                queuedAt: Date.now(),
+            };
+            return [...items, queuedItem];
+        });
+        return queuedItem;
+    }
+
+    function replayItem(item) {
+        return senders[item.name](item).then(
+            result => remove(item).then(() => ({ item, ok: true, result })),
+            err =>
+                err instanceof NetworkError
+                    ? { item, ok: false, error: err }
+                    : remove(item).then(() => ({ item, ok: false, error: err }))
+        );
+    }
+
+    async function replayItems() {
+        const items = await load();
+        const { results } = await items
+            .filter(item => senders[item.name])
+            .reduce(
+                (previousItem, item) =>
+                    previousItem.then(state => {
+                        if (state.stopped) {
+                            return state;
+                        }
+                        return replayItem(item).then(result => ({
+                            results: [...state.results, result],
+                            // Still offline, keep the rest of the queue in order
+                            stopped: result.error instanceof NetworkError,
+                        }));
+                    }),
+                Promise.resolve({ results: [], stopped: false })
+            );
+        return results;
+    }
+
+    function replay() {
+        if (!replaying) {
+            replaying = replayItems().then(
+                results => {
+                    replaying = undefined;
+                    return results;
+                },
+                err => {
+                    replaying = undefined;
+                    throw err;
+                }
+            );
+        }
+        return replaying;
+    }
+
+    return {
+        accepts,
+        prepare,
+        enqueue,
+        replay,
+        register(name, send) {
+            if (senders[name]) {
+                throw new Error(
+                    `A resource named ${name} is already registered, set a unique name option`
+                );
+            }
+            senders[name] = send;
+        },
+        async getItems() {
+            return [...(await load())];
+        },
+        get replaying() {
+            return !!replaying;
+        },
+        subscribe(listener) {
+            listeners = [...listeners, listener];
+            return () => {
+                listeners = listeners.filter(item => item !== listener);
+            };
+        },
+        async clear() {
+            await update(() => []);
+        },
+    };
+}
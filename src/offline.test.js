@@ -0,0 +1,212 @@
+import { createResource } from './create-resource';
+import { NetworkError, OfflineError, HttpError } from './errors';
+import { createOfflineQueue, createMemoryQueueStorage, createWebQueueStorage } from './offline';
+
+function createOfflineAdapter() {
+    let online = false;
+    const adapter = jest.fn(request => {
+        if (!online) {
+            return Promise.reject(new Error('Network Error'));
+        }
+        return { ok: true, status: 201, headers: {}, body: request.body };
+    });
+    adapter.setOnline = value => {
+        online = value;
+    };
+    return adapter;
+}
+
+function createWebStorageMock() {
+    const values = {};
+    return {
+        getItem: key => (key in values ? values[key] : null),
+        setItem: (key, value) => {
+            values[key] = value;
+        },
+    };
+}
+
+describe('Offline Queue Test', () => {
+    it('should queue mutations that failed by network and replay them in order', async () => {
+        const adapter = createOfflineAdapter();
+        const queue = createOfflineQueue({ generateKey: () => `key-${Math.random()}` });
+        const createNote = createResource('post', 'http://example.com/notes/', {
+            adapter,
+            offline: queue,
+            inputMap: { text: 'text' },
+            parsers: [data => data.text],
+        });
+
+        const errors = await Promise.all(
+            ['a', 'b'].map(text => createNote.call({ text }).catch(err => err))
+        );
+
+        expect(errors[0]).toBeInstanceOf(OfflineError);
+        expect(errors[0]).toBeInstanceOf(NetworkError);
+        expect(errors[0].item).toEqual(
+            expect.objectContaining({ name: 'POST http://example.com/notes/' })
+        );
+        expect((await queue.getItems()).map(item => item.payload)).toEqual([
+            { text: 'a' },
+            { text: 'b' },
+        ]);
+
+        adapter.setOnline(true);
+        const results = await queue.replay();
+
+        expect(results.map(({ ok, result }) => ({ ok, result }))).toEqual([
+            { ok: true, result: 'a' },
+            { ok: true, result: 'b' },
+        ]);
+        expect(await queue.getItems()).toEqual([]);
+    });
+
+    it('should send an idempotency key and deduplicate by it', async () => {
+        const adapter = createOfflineAdapter();
+        const queue = createOfflineQueue({ generateKey: () => 'generated' });
+        const updateUser = createResource('put', 'http://example.com/user/', {
+            adapter,
+            offline: queue,
+            headersMap: { requestId: 'Idempotency-Key' },
+        });
+
+        await expect(updateUser.call({ requestId: '1' })).rejects.toBeInstanceOf(OfflineError);
+        await expect(updateUser.call({ requestId: '1' })).rejects.toBeInstanceOf(OfflineError);
+        await expect(updateUser.call()).rejects.toBeInstanceOf(OfflineError);
+
+        expect(adapter.mock.calls[2][0].headers).toEqual({ 'Idempotency-Key': 'generated' });
+        expect((await queue.getItems()).map(item => item.key)).toEqual(['1', 'generated']);
+    });
+
+    it('should not queue reads or non network errors', async () => {
+        const queue = createOfflineQueue();
+        const getUser = createResource('get', 'http://example.com/user/', {
+            adapter: () => Promise.reject(new Error('Network Error')),
+            offline: queue,
+        });
+        const createUser = createResource('post', 'http://example.com/user/', {
+            adapter: () => ({ ok: false, status: 400, headers: {} }),
+            offline: queue,
+            throwOnFailure: true,
+        });
+
+        await expect(getUser.call()).rejects.not.toBeInstanceOf(OfflineError);
+        await expect(createUser.call()).rejects.toBeInstanceOf(HttpError);
+        expect(await queue.getItems()).toEqual([]);
+    });
+
+    it('should stop replaying while still offline and drop failed items', async () => {
+        const queue = createOfflineQueue();
+        const adapter = createOfflineAdapter();
+        const createNote = createResource('post', 'http://example.com/notes/', {
+            adapter,
+            offline: queue,
+            throwOnFailure: true,
+        });
+
+        await createNote.call({ text: 'a' }).catch(() => {});
+        await createNote.call({ text: 'b' }).catch(() => {});
+
+        const offlineResults = await queue.replay();
+        expect(offlineResults.map(({ ok, error }) => ({ ok, error: error.constructor }))).toEqual([
+            { ok: false, error: NetworkError },
+        ]);
+        expect(await queue.getItems()).toHaveLength(2);
+
+        adapter.mockImplementationOnce(() => ({ ok: false, status: 409, headers: {} }));
+        adapter.setOnline(true);
+        const results = await queue.replay();
+
+        expect(results.map(({ ok }) => ok)).toEqual([false, true]);
+        expect(results[0].error).toBeInstanceOf(HttpError);
+        expect(await queue.getItems()).toEqual([]);
+    });
+
+    it('should notify subscribers and clear the queue', async () => {
+        const queue = createOfflineQueue();
+        const listener = jest.fn();
+        const unsubscribe = queue.subscribe(listener);
+
+        await queue.enqueue({ name: 'a', request: { method: 'post', url: 'http://a' } });
+        await queue.clear();
+        unsubscribe();
+        await queue.clear();
+
+        expect(listener.mock.calls.map(([items]) => items.length)).toEqual([1, 0]);
+    });
+
+    it('should persist the queue in web storage', async () => {
+        const webStorage = createWebStorageMock();
+        const request = { method: 'post', url: 'http://example.com/notes/', body: { text: 'a' } };
+
+        await createOfflineQueue({ storage: createWebQueueStorage(webStorage) }).enqueue({
+            name: 'createNote',
+            request: { ...request, signal: {}, onUploadProgress: () => {} },
+        });
+        const queue = createOfflineQueue({ storage: createWebQueueStorage(webStorage) });
+
+        expect(await queue.getItems()).toEqual([
+            expect.objectContaining({ name: 'createNote', request }),
+        ]);
+    });
+
+    it('should load items from a memory storage', async () => {
+        const storage = createMemoryQueueStorage([{ id: '1', name: 'a', request: {} }]);
+
+        expect(await createOfflineQueue({ storage }).getItems()).toHaveLength(1);
+    });
+
+    it('should keep items of resources that were not created', async () => {
+        const queue = createOfflineQueue();
+        await queue.enqueue({ name: 'unknown', request: { method: 'post', url: 'http://a' } });
+
+        expect(await queue.replay()).toEqual([]);
+        expect(await queue.getItems()).toHaveLength(1);
+    });
+
+    it('should replay queued calls with their option overrides', async () => {
+        const adapter = createOfflineAdapter();
+        const queue = createOfflineQueue();
+        const createNote = createResource('post', 'http://example.com/notes/', {
+            adapter,
+            offline: queue,
+            inputMap: { text: 'text' },
+        });
+
+        await createNote
+            .call({ text: 'a' }, { parsers: [data => data.text.toUpperCase()] })
+            .catch(() => undefined);
+        adapter.setOnline(true);
+        const results = await queue.replay();
+
+        expect(results[0].result).toEqual('A');
+    });
+
+    it('should throw when two resources register the same name', () => {
+        const queue = createOfflineQueue();
+        createResource('post', 'http://example.com/notes/', { offline: queue });
+
+        expect(() =>
+            createResource('post', 'http://example.com/notes/', { offline: queue })
+        ).toThrow('A resource named POST http://example.com/notes/ is already registered');
+    });
+
+    it('should reject requests that cannot be persisted in web storage', async () => {
+        const webStorage = createWebStorageMock();
+        const queue = createOfflineQueue({ storage: createWebQueueStorage(webStorage) });
+        const uploadFile = createResource('post', 'http://example.com/files/', {
+            adapter: createOfflineAdapter(),
+            offline: queue,
+            bodyType: 'multipart',
+            inputMap: { file: 'file' },
+        });
+
+        await expect(uploadFile.call({ file: new Blob(['content']) })).rejects.toEqual(
+            new Error(
+                'The request of POST http://example.com/files/ cannot be persisted in web storage'
+            )
+        );
+        expect(await queue.getItems()).toEqual([]);
+        expect(webStorage.getItem('plain-api-offline-queue')).toBeNull();
+    });
+});
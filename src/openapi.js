@@ -0,0 +1,156 @@
+import { createApi } from './create-api';
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const BODY_TYPES = {
+    'application/x-www-form-urlencoded': 'form',
+    'multipart/form-data': 'multipart',
+};
+
+const varNamePattern = /^[\w%.]+$/;
+
+function resolveRef(spec, value) {
+    if (!value || typeof value.$ref !== 'string') {
+        return value;
+    }
+    if (value.$ref.indexOf('#/') !== 0) {
+        throw new Error(`Unsupported $ref ${value.$ref}, only local references are supported`);
+    }
+    const resolved = value.$ref
+        .slice(2)
+        .split('/')
+        .map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((obj, key) => (obj ? obj[key] : undefined), spec);
+    if (resolved === undefined) {
+        throw new Error(`Invalid $ref ${value.$ref}`);
+    }
+    return resolveRef(spec, resolved);
+}
+
+function getParameters(spec, pathItem, operation) {
+    const parameters = {};
+    [...(pathItem.parameters || []), ...(operation.parameters || [])].forEach(parameter => {
+        const resolved = resolveRef(spec, parameter);
+        parameters[`${resolved.in} ${resolved.name}`] = resolved;
+    });
+    return Object.keys(parameters).map(key => parameters[key]);
+}
+
+function getOperationName(method, path) {
+    const words = `${method} ${path}`.split(/[^a-zA-Z0-9]+/).filter(word => word);
+    return words
+        .map((word, index) =>
+            index === 0 ? word.toLowerCase() : `${word[0].toUpperCase()}${word.slice(1)}`
+        )
+        .join('');
+}
+
+function getBody(spec, operation) {
+    const requestBody = resolveRef(spec, operation.requestBody);
+    if (!requestBody || !requestBody.content) {
+        return undefined;
+    }
+    const contentTypes = Object.keys(requestBody.content);
+    const contentType =
+        contentTypes.find(type => type.indexOf('json') !== -1) ||
+        contentTypes.find(type => BODY_TYPES[type]) ||
+        contentTypes[0];
+    const schema = resolveRef(spec, requestBody.content[contentType].schema) || {};
+    return {
+        bodyType: BODY_TYPES[contentType],
+        properties: schema.properties ? Object.keys(schema.properties) : undefined,
+    };
+}
+
+function toMap(names) {
+    return names.reduce((map, name) => ({ ...map, [name]: name }), {});
+}
+
+function getDefinition(spec, method, path, pathItem) {
+    const operation = pathItem[method];
+    const parameters = getParameters(spec, pathItem, operation);
+    const inputNames = [];
+    const headerNames = [];
+    const queryExpressions = [];
+
+    parameters.forEach(parameter => {
+        if (parameter.in === 'query') {
+            if (method === 'get') {
+                inputNames.push(parameter.name);
+            } else if (varNamePattern.test(parameter.name)) {
+                queryExpressions.push(`${parameter.name}${parameter.explode === false ? '' : '*'}`);
+            }
+        } else if (parameter.in === 'header') {
+            headerNames.push(parameter.name);
+        }
+    });
+
+    const definition = {
+        method,
+        path: queryExpressions.length > 0 ? `${path}{?${queryExpressions.join(',')}}` : path,
+    };
+
+    const body = method === 'get' || method === 'delete' ? undefined : getBody(spec, operation);
+    if (body && body.properties) {
+        inputNames.push(...body.properties);
+    } else if (body) {
+        definition.passThrough = true;
+    }
+    if (body && body.bodyType) {
+        definition.bodyType = body.bodyType;
+    }
+    if (inputNames.length > 0) {
+        definition.inputMap = toMap(inputNames);
+    }
+    if (headerNames.length > 0) {
+        definition.headersMap = toMap(headerNames);
+    }
+    return definition;
+}
+
+export function getBaseUrl(spec) {
+    const [server] = spec.servers || [];
+    if (!server) {
+        return '';
+    }
+    const variables = server.variables || {};
+    return server.url.replace(/\{(\w+)\}/g, (match, name) =>
+        variables[name] ? variables[name].default : match
+    );
+}
+
+export function getDefinitions(spec) {
+    const paths = spec.paths || {};
+    return Object.keys(paths).reduce((definitions, path) => {
+        const pathItem = paths[path];
+        return METHODS.filter(method => pathItem[method]).reduce(
+            (pathDefinitions, method) => ({
+                ...pathDefinitions,
+                [pathItem[method].operationId || getOperationName(method, path)]: getDefinition(
+                    spec,
+                    method,
+                    path,
+                    pathItem
+                ),
+            }),
+            definitions
+        );
+    }, {});
+}
+
+export function fromOpenApi(spec, factoryOptions = {}) {
+    return createApi(getBaseUrl(spec), getDefinitions(spec), factoryOptions);
+}
+
+export function generateModule(spec, { importPath = 'plain-api' } = {}) {
+    return `import { createApi } from '${importPath}';
+
+export const baseUrl = ${JSON.stringify(getBaseUrl(spec))};
+
+export const definitions = ${JSON.stringify(getDefinitions(spec), null, 4)};
+
+export default function createResources(options) {
+    return createApi(baseUrl, definitions, options);
+}
+`;
+}
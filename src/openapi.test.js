@@ -0,0 +1,144 @@
+import { fromOpenApi, generateModule, getBaseUrl, getDefinitions } from './openapi';
+
+const spec = {
+    openapi: '3.0.0',
+    servers: [{ url: 'https://{env}.example.com/v1', variables: { env: { default: 'api' } } }],
+    paths: {
+        '/pets': {
+            get: {
+                operationId: 'listPets',
+                parameters: [
+                    { name: 'limit', in: 'query' },
+                    { $ref: '#/components/parameters/RequestId' },
+                ],
+            },
+            post: {
+                operationId: 'createPet',
+                requestBody: {
+                    content: {
+                        'application/json': { schema: { $ref: '#/components/schemas/Pet' } },
+                    },
+                },
+            },
+        },
+        '/pets/{petId}': {
+            parameters: [{ name: 'petId', in: 'path', required: true }],
+            put: {
+                parameters: [{ name: 'notify', in: 'query', explode: false }],
+                requestBody: {
+                    content: { 'application/json': { schema: { type: 'array' } } },
+                },
+            },
+            delete: { operationId: 'deletePet' },
+        },
+        '/pets/{petId}/photo': {
+            post: {
+                operationId: 'uploadPhoto',
+                parameters: [{ name: 'petId', in: 'path', required: true }],
+                requestBody: {
+                    content: {
+                        'multipart/form-data': {
+                            schema: { type: 'object', properties: { photo: {} } },
+                        },
+                    },
+                },
+            },
+        },
+    },
+    components: {
+        parameters: {
+            RequestId: { name: 'X-Request-Id', in: 'header' },
+        },
+        schemas: {
+            Pet: { type: 'object', properties: { name: {}, tag: {} } },
+        },
+    },
+};
+
+describe('OpenApi Test', () => {
+    it('should get the base url from the first server', () => {
+        expect(getBaseUrl(spec)).toEqual('https://api.example.com/v1');
+        expect(getBaseUrl({ paths: {} })).toEqual('');
+    });
+
+    it('should create definitions from operations', () => {
+        expect(getDefinitions(spec)).toEqual({
+            listPets: {
+                method: 'get',
+                path: '/pets',
+                inputMap: { limit: 'limit' },
+                headersMap: { 'X-Request-Id': 'X-Request-Id' },
+            },
+            createPet: {
+                method: 'post',
+                path: '/pets',
+                inputMap: { name: 'name', tag: 'tag' },
+            },
+            putPetsPetId: {
+                method: 'put',
+                path: '/pets/{petId}{?notify}',
+                passThrough: true,
+            },
+            deletePet: { method: 'delete', path: '/pets/{petId}' },
+            uploadPhoto: {
+                method: 'post',
+                path: '/pets/{petId}/photo',
+                bodyType: 'multipart',
+                inputMap: { photo: 'photo' },
+            },
+        });
+    });
+
+    it('should throw on invalid references', () => {
+        expect(() =>
+            getDefinitions({
+                paths: { '/a': { get: { parameters: [{ $ref: '#/components/parameters/A' }] } } },
+            })
+        ).toThrow('Invalid $ref #/components/parameters/A');
+        expect(() =>
+            getDefinitions({
+                paths: { '/a': { get: { parameters: [{ $ref: 'other.json#/A' }] } } },
+            })
+        ).toThrow('Unsupported $ref other.json#/A');
+    });
+
+    it('should create resources named by operationId', async () => {
+        const adapter = jest.fn(() => ({ ok: true, status: 200, headers: {}, body: {} }));
+        const api = fromOpenApi(spec, { adapter });
+
+        await api.listPets.call({ limit: 10, 'X-Request-Id': 'abc' });
+        await api.createPet.call({ name: 'Rex', tag: 'dog', other: 1 });
+        await api.deletePet.call({ petId: 5 });
+
+        expect(adapter.mock.calls.map(([request]) => request)).toEqual([
+            {
+                method: 'get',
+                url: 'https://api.example.com/v1/pets',
+                query: { limit: 10 },
+                headers: { 'X-Request-Id': 'abc' },
+                withCredentials: false,
+            },
+            {
+                method: 'post',
+                url: 'https://api.example.com/v1/pets',
+                body: { name: 'Rex', tag: 'dog' },
+                withCredentials: false,
+            },
+            {
+                method: 'delete',
+                url: 'https://api.example.com/v1/pets/5',
+                withCredentials: false,
+            },
+        ]);
+        expect(api.listPets.getProperties().options.name).toEqual('listPets');
+    });
+
+    it('should generate a resources module', () => {
+        const code = generateModule(spec, { importPath: '../src' });
+
+        expect(code).toContain("import { createApi } from '../src';");
+        expect(code).toContain('export const baseUrl = "https://api.example.com/v1";');
+        expect(code).toContain('export const definitions = {\n    "listPets": {');
+        expect(code).toContain('return createApi(baseUrl, definitions, options);');
+    });
+});
@@ -0,0 +1,89 @@
+import { getHeader } from './headers';
+import { getPath } from './mapping';
+
+export function parseLinkHeader(header) {
+    if (!header) {
+        return {};
+    }
+    return header.split(',').reduce((links, part) => {
+        const match = /<([^>]*)>(.*)/.exec(part.trim());
+        if (!match) {
+            return links;
+        }
+        const rel = /rel="?([^";]+)"?/.exec(match[2]);
+        if (!rel) {
+            return links;
+        }
+        return rel[1]
+            .split(/\s+/)
+            .reduce((result, name) => ({ ...result, [name]: match[1] }), links);
+    }, {});
+}
+
+const strategies = {
+    offset({ offsetParam = 'offset', limitParam = 'limit', limit = 20 }) {
+        return {
+            first: payload => ({
+                ...payload,
+                [offsetParam]: payload[offsetParam] || 0,
+                [limitParam]: payload[limitParam] || limit,
+            }),
+            next: (payload, { items }) =>
+                items.length === 0 || items.length < payload[limitParam]
+                    ? undefined
+                    : {
+                          payload: {
+                              ...payload,
+                              [offsetParam]: payload[offsetParam] + items.length,
+                          },
+                      },
+        };
+    },
+    page({ pageParam = 'page', firstPage = 1, pageSize }) {
+        return {
+            first: payload => ({
+                ...payload,
+                [pageParam]: payload[pageParam] !== undefined ? payload[pageParam] : firstPage,
+            }),
+            next: (payload, { items }) =>
+                items.length === 0 || (pageSize && items.length < pageSize)
+                    ? undefined
+                    : { payload: { ...payload, [pageParam]: payload[pageParam] + 1 } },
+        };
+    },
+    cursor({ cursorParam = 'cursor', cursorPath = 'cursor', getCursor }) {
+        return {
+            first: payload => payload,
+            next: (payload, { response }) => {
+                const cursor = getCursor
+                    ? getCursor(response.body, response)
+                    : getPath(response.body, cursorPath);
+                return cursor ? { payload: { ...payload, [cursorParam]: cursor } } : undefined;
+            },
+        };
+    },
+    link() {
+        return {
+            first: payload => payload,
+            next: (payload, { response }) => {
+                const { next } = parseLinkHeader(getHeader(response.headers, 'Link'));
+                return next ? { payload, url: next } : undefined;
+            },
+        };
+    },
+};
+
+export function createPaginator(paginate) {
+    if (!paginate) {
+        throw new Error('paginate option is required in order to iterate pages');
+    }
+    const { type, items = result => (Array.isArray(result) ? result : []) } = paginate;
+    const strategy = strategies[type];
+    if (!strategy) {
+        throw new Error(`Invalid pagination type ${type}`);
+    }
+    return {
+        ...strategy(paginate),
+        items,
+    };
+}
@@ -0,0 +1,83 @@
+import { createPaginator, parseLinkHeader } from './paginate';
+
+describe('Paginate Test', () => {
+    it('should parse Link headers', () => {
+        expect(
+            parseLinkHeader(
+                '<http://example.com/users?page=3>; rel="next", <http://example.com/users?page=1>; rel="prev first"'
+            )
+        ).toEqual({
+            next: 'http://example.com/users?page=3',
+            prev: 'http://example.com/users?page=1',
+            first: 'http://example.com/users?page=1',
+        });
+        expect(parseLinkHeader(undefined)).toEqual({});
+        expect(parseLinkHeader('invalid')).toEqual({});
+    });
+
+    it('should throw when paginate option is missing or invalid', () => {
+        expect(() => createPaginator(undefined)).toThrow(
+            'paginate option is required in order to iterate pages'
+        );
+        expect(() => createPaginator({ type: 'other' })).toThrow('Invalid pagination type other');
+    });
+
+    it('should paginate by offset', () => {
+        const paginator = createPaginator({ type: 'offset', limit: 2 });
+
+        const payload = paginator.first({ q: 'a' });
+        expect(payload).toEqual({ q: 'a', offset: 0, limit: 2 });
+        expect(paginator.next(payload, { items: [1, 2] })).toEqual({
+            payload: { q: 'a', offset: 2, limit: 2 },
+        });
+        expect(paginator.next(payload, { items: [1] })).toBeUndefined();
+    });
+
+    it('should paginate by page number', () => {
+        const paginator = createPaginator({ type: 'page', pageParam: 'p', pageSize: 2 });
+
+        const payload = paginator.first({});
+        expect(payload).toEqual({ p: 1 });
+        expect(paginator.next(payload, { items: [1, 2] })).toEqual({ payload: { p: 2 } });
+        expect(paginator.next(payload, { items: [1] })).toBeUndefined();
+        expect(createPaginator({ type: 'page' }).next(payload, { items: [] })).toBeUndefined();
+    });
+
+    it('should paginate by cursor', () => {
+        const paginator = createPaginator({ type: 'cursor', cursorPath: 'meta.next' });
+
+        expect(paginator.next({}, { response: { body: { meta: { next: 'abc' } } } })).toEqual({
+            payload: { cursor: 'abc' },
+        });
+        expect(paginator.next({}, { response: { body: { meta: {} } } })).toBeUndefined();
+
+        const customPaginator = createPaginator({
+            type: 'cursor',
+            cursorParam: 'after',
+            getCursor: (body, response) => response.headers['x-cursor'],
+        });
+        expect(customPaginator.next({}, { response: { headers: { 'x-cursor': '1' } } })).toEqual({
+            payload: { after: '1' },
+        });
+    });
+
+    it('should paginate by Link header', () => {
+        const paginator = createPaginator({ type: 'link' });
+
+        expect(
+            paginator.next(
+                { a: 1 },
+                { response: { headers: { link: '<http://x/?p=2>; rel=next' } } }
+            )
+        ).toEqual({ payload: { a: 1 }, url: 'http://x/?p=2' });
+        expect(paginator.next({ a: 1 }, { response: { headers: {} } })).toBeUndefined();
+    });
+
+    it('should use page results as items by default', () => {
+        expect(createPaginator({ type: 'link' }).items([1, 2])).toEqual([1, 2]);
+        expect(createPaginator({ type: 'link' }).items({ data: [1] })).toEqual([]);
+        expect(
+            createPaginator({ type: 'link', items: result => result.data }).items({ data: [1] })
+        ).toEqual([1]);
+    });
+});
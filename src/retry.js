@@ -0,0 +1,115 @@
+import { CancelError, NetworkError, TimeoutError } from './errors';
+import { getHeader } from './headers';
+
+const defaultRetryOptions = {
+    attempts: 3,
+    delay: 300,
+    maxDelay: 30000,
+    factor: 2,
+    jitter: true,
+    statusCodes: [408, 429, 500, 502, 503, 504],
+    methods: ['get', 'put', 'delete'],
+    retryAfter: true,
+};
+
+function normalizeRetryOptions(retry) {
+    if (!retry) {
+        return undefined;
+    }
+    if (retry === true) {
+        return defaultRetryOptions;
+    }
+    if (typeof retry === 'number') {
+        return { ...defaultRetryOptions, attempts: retry };
+    }
+    return { ...defaultRetryOptions, ...retry };
+}
+
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (!signal) {
+            setTimeout(resolve, ms);
+            return;
+        }
+        if (signal.aborted) {
+            reject(new CancelError('Request was cancelled'));
+            return;
+        }
+        let timer;
+        function onAbort() {
+            clearTimeout(timer);
+            reject(new CancelError('Request was cancelled'));
+        }
+        timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort);
+    });
+}
+
+export function parseRetryAfter(headers) {
+    const retryAfter = getHeader(headers, 'Retry-After');
+    if (retryAfter === undefined || retryAfter === null || retryAfter === '') {
+        return undefined;
+    }
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(retryAfter);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+export function getRetryDelay(options, attempt, response) {
+    const { delay, factor, maxDelay, jitter, retryAfter } = options;
+    if (retryAfter && response) {
+        const retryAfterDelay = parseRetryAfter(response.headers);
+        if (retryAfterDelay !== undefined) {
+            // Retrying earlier than the server allows is pointless, so a longer wait means no retry
+            return retryAfterDelay <= maxDelay ? retryAfterDelay : undefined;
+        }
+    }
+    const backoff = Math.min(maxDelay, delay * factor ** (attempt - 1));
+    return jitter ? Math.random() * backoff : backoff;
+}
+
+function shouldRetry(options, method, attempt, response) {
+    if (!options || attempt >= options.attempts || options.methods.indexOf(method) === -1) {
+        return false;
+    }
+    return !response || options.statusCodes.indexOf(response.status) !== -1;
+}
+
+export function withRetry(retry, method, send, onRetry = () => {}, signal) {
+    const options = normalizeRetryOptions(retry);
+
+    async function attempt(number) {
+        let response;
+        try {
+            response = await send(number);
+        } catch (err) {
+            const isRetryable = err instanceof NetworkError || err instanceof TimeoutError;
+            if (!isRetryable || !shouldRetry(options, method, number)) {
+                throw err;
+            }
+            const delay = getRetryDelay(options, number);
+            onRetry({ attempt: number, delay, error: err });
+            await wait(delay, signal);
+            return attempt(number + 1);
+        }
+
+        if (!shouldRetry(options, method, number, response)) {
+            return { response, attempts: number };
+        }
+        const delay = getRetryDelay(options, number, response);
+        if (delay === undefined) {
+            return { response, attempts: number };
+        }
+        onRetry({ attempt: number, delay, response });
+        await wait(delay, signal);
+        return attempt(number + 1);
+    }
+
+    return attempt(1);
+}
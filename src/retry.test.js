@@ -0,0 +1,154 @@
+import { withRetry, getRetryDelay, parseRetryAfter } from './retry';
+import { CancelError, NetworkError, TimeoutError } from './errors';
+
+const noDelay = { delay: 0, jitter: false };
+
+describe('Retry Test', () => {
+    it('should not retry when retry is disabled', async () => {
+        const send = jest.fn(() => ({ status: 503 }));
+
+        const result = await withRetry(undefined, 'get', send);
+
+        expect(result).toEqual({ response: { status: 503 }, attempts: 1 });
+        expect(send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry retryable status codes up to max attempts', async () => {
+        const send = jest.fn(() => ({ status: 503 }));
+
+        const result = await withRetry({ ...noDelay, attempts: 4 }, 'get', send);
+
+        expect(result).toEqual({ response: { status: 503 }, attempts: 4 });
+        expect(send).toHaveBeenCalledTimes(4);
+        expect(send).toHaveBeenLastCalledWith(4);
+    });
+
+    it('should not retry other status codes', async () => {
+        const send = jest.fn(() => ({ status: 400 }));
+
+        const result = await withRetry(noDelay, 'get', send);
+
+        expect(result.attempts).toBe(1);
+    });
+
+    it('should retry network failures and rethrow the last error', async () => {
+        const send = jest.fn(() => Promise.reject(new NetworkError('Network Error')));
+
+        let errorMessage;
+        try {
+            await withRetry({ ...noDelay, attempts: 2 }, 'get', send);
+        } catch (err) {
+            errorMessage = err.message;
+        }
+
+        expect(errorMessage).toEqual('Network Error');
+        expect(send).toHaveBeenCalledTimes(2);
+    });
+
+    it('should retry timeouts', async () => {
+        const send = jest
+            .fn()
+            .mockImplementationOnce(() => Promise.reject(new TimeoutError('Request timed out')))
+            .mockImplementationOnce(() => ({ status: 200 }));
+
+        const result = await withRetry(noDelay, 'get', send);
+
+        expect(result).toEqual({ response: { status: 200 }, attempts: 2 });
+    });
+
+    it('should not retry other errors', async () => {
+        const send = jest.fn(() => Promise.reject(new Error('Unexpected')));
+
+        await expect(withRetry(noDelay, 'get', send)).rejects.toEqual(new Error('Unexpected'));
+        expect(send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry only idempotent methods by default', async () => {
+        const send = jest.fn(() => ({ status: 503 }));
+
+        await withRetry(noDelay, 'post', send);
+        expect(send).toHaveBeenCalledTimes(1);
+
+        await withRetry({ ...noDelay, methods: ['post'] }, 'post', send);
+        expect(send).toHaveBeenCalledTimes(4);
+    });
+
+    it('should support retry as number of attempts', async () => {
+        jest.useFakeTimers();
+        const send = jest.fn(() => ({ status: 503 }));
+
+        const promise = withRetry(2, 'get', send);
+        await Promise.resolve();
+        jest.runAllTimers();
+        await promise;
+
+        expect(send).toHaveBeenCalledTimes(2);
+        jest.useRealTimers();
+    });
+
+    it('should stop waiting for a retry when the signal aborts', async () => {
+        const controller = new AbortController();
+        const send = jest.fn(() => {
+            setTimeout(() => controller.abort());
+            return { status: 503 };
+        });
+
+        const promise = withRetry(
+            { delay: 30000, jitter: false },
+            'get',
+            send,
+            undefined,
+            controller.signal
+        );
+
+        await expect(promise).rejects.toBeInstanceOf(CancelError);
+        expect(send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should calculate exponential backoff', () => {
+        const options = { delay: 100, factor: 2, maxDelay: 1000, jitter: false };
+
+        expect(getRetryDelay(options, 1)).toBe(100);
+        expect(getRetryDelay(options, 2)).toBe(200);
+        expect(getRetryDelay(options, 3)).toBe(400);
+        expect(getRetryDelay(options, 5)).toBe(1000);
+    });
+
+    it('should add jitter to the backoff', () => {
+        const options = { delay: 100, factor: 2, maxDelay: 1000, jitter: true };
+
+        const delay = getRetryDelay(options, 3);
+
+        expect(delay).toBeGreaterThanOrEqual(0);
+        expect(delay).toBeLessThanOrEqual(400);
+    });
+
+    it('should honor Retry-After header', () => {
+        const options = { delay: 100, factor: 2, maxDelay: 5000, jitter: false, retryAfter: true };
+
+        expect(getRetryDelay(options, 1, { headers: { 'retry-after': '3' } })).toBe(3000);
+        expect(getRetryDelay(options, 1, { headers: { 'Retry-After': '120' } })).toBeUndefined();
+        expect(
+            getRetryDelay({ ...options, retryAfter: false }, 1, { headers: { 'retry-after': '3' } })
+        ).toBe(100);
+    });
+
+    it('should not retry when Retry-After is longer than maxDelay', async () => {
+        const send = jest.fn(() => ({ status: 503, headers: { 'Retry-After': '120' } }));
+
+        const result = await withRetry({ ...noDelay, maxDelay: 30000 }, 'get', send);
+
+        expect(result).toEqual({ response: expect.objectContaining({ status: 503 }), attempts: 1 });
+        expect(send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should parse Retry-After http dates', () => {
+        const date = new Date(Date.now() + 10000).toUTCString();
+
+        const delay = parseRetryAfter({ 'retry-after': date });
+
+        expect(delay).toBeGreaterThan(8000);
+        expect(delay).toBeLessThanOrEqual(10000);
+        expect(parseRetryAfter({})).toBeUndefined();
+    });
+});
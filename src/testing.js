@@ -0,0 +1,160 @@
+import { createMemoryAdapter } from './adapters/memory';
+import { setDefaultAdapter } from './create-resource';
+import { UnmatchedRequestError } from './errors';
+
+const defaultInterpolationPattern = /\{\{(\w+)\}\}/gi;
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function stripQuery(url) {
+    return url.split('#')[0].split('?')[0];
+}
+
+function parseQueryString(url) {
+    const queryString = url.split('#')[0].split('?')[1];
+    if (!queryString) {
+        return {};
+    }
+    return queryString.split('&').reduce((query, part) => {
+        const [key, value = ''] = part.split('=').map(decodeURIComponent);
+        if (!Object.prototype.hasOwnProperty.call(query, key)) {
+            return { ...query, [key]: value };
+        }
+        return { ...query, [key]: [].concat(query[key], value) };
+    }, {});
+}
+
+function compileTemplate(template, interpolationPattern) {
+    const path = stripQuery(template.replace(/\{[?&#][^}]*\}/g, ''));
+    const placeholderPattern = new RegExp(`${interpolationPattern.source}|\\{(\\w+)\\}`, 'g');
+    const names = [];
+    let lastIndex = 0;
+    let source = '';
+    path.replace(placeholderPattern, (match, ...args) => {
+        const offset = args[args.length - 2];
+        names.push(args.slice(0, -2).find(group => group !== undefined));
+        source += `${escapeRegExp(path.slice(lastIndex, offset))}([^/?#]+)`;
+        lastIndex = offset + match.length;
+        return match;
+    });
+    source += escapeRegExp(path.slice(lastIndex));
+    return { regExp: new RegExp(`^${source}$`), names };
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export function createMockServer({ interpolationPattern = defaultInterpolationPattern } = {}) {
+    let handlers = [];
+    let requests = [];
+    let unmatched = [];
+    let previousAdapter;
+
+    function on(method, urlTemplate, response) {
+        const handler = {
+            method: method.toLowerCase(),
+            urlTemplate,
+            response,
+            calls: [],
+            ...compileTemplate(urlTemplate, interpolationPattern),
+        };
+        handlers = [...handlers, handler];
+        return handler;
+    }
+
+    function match(request) {
+        const url = stripQuery(request.url);
+        return handlers.reduce((found, handler) => {
+            if (found || handler.method !== request.method) {
+                return found;
+            }
+            const result = handler.regExp.exec(url);
+            if (!result) {
+                return found;
+            }
+            const params = handler.names.reduce(
+                (values, name, index) => ({
+                    ...values,
+                    [name]: decodeURIComponent(result[index + 1]),
+                }),
+                {}
+            );
+            return { handler, params };
+        }, undefined);
+    }
+
+    async function handle(request) {
+        requests = [...requests, request];
+        const matched = match(request);
+        if (!matched) {
+            unmatched = [...unmatched, request];
+            throw new UnmatchedRequestError(
+                `No mock handler for ${request.method.toUpperCase()} ${request.url}`,
+                { request }
+            );
+        }
+
+        const { handler, params } = matched;
+        const mockRequest = {
+            ...request,
+            params,
+            query: { ...parseQueryString(request.url), ...request.query },
+        };
+        handler.calls.push(mockRequest);
+
+        const response =
+            typeof handler.response === 'function'
+                ? await handler.response(mockRequest)
+                : handler.response;
+        const { delay, ...route } = response || {};
+        if (delay) {
+            await wait(delay);
+        }
+        return route;
+    }
+
+    const adapter = createMemoryAdapter(handle);
+
+    return {
+        adapter,
+        on,
+        get: (urlTemplate, response) => on('get', urlTemplate, response),
+        post: (urlTemplate, response) => on('post', urlTemplate, response),
+        put: (urlTemplate, response) => on('put', urlTemplate, response),
+        patch: (urlTemplate, response) => on('patch', urlTemplate, response),
+        delete: (urlTemplate, response) => on('delete', urlTemplate, response),
+        get requests() {
+            return requests;
+        },
+        get unmatched() {
+            return unmatched;
+        },
+        verify() {
+            if (unmatched.length > 0) {
+                throw new UnmatchedRequestError(
+                    `Unmatched requests: ${unmatched
+                        .map(request => `${request.method.toUpperCase()} ${request.url}`)
+                        .join(', ')}`,
+                    { requests: unmatched }
+                );
+            }
+        },
+        reset() {
+            handlers = [];
+            requests = [];
+            unmatched = [];
+        },
+        install() {
+            previousAdapter = setDefaultAdapter(adapter);
+        },
+        uninstall() {
+            setDefaultAdapter(previousAdapter);
+            previousAdapter = undefined;
+        },
+    };
+}
+
+export { UnmatchedRequestError };
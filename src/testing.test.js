@@ -0,0 +1,150 @@
+import { createMockServer } from './testing';
+import { createResource, createResourceFactory } from './create-resource';
+import { NetworkError, UnmatchedRequestError } from './errors';
+
+describe('Mock Server Test', () => {
+    let server;
+
+    beforeEach(() => {
+        server = createMockServer();
+        server.install();
+    });
+
+    afterEach(() => {
+        server.uninstall();
+    });
+
+    it('should respond to matching requests through the default adapter', async () => {
+        const handler = server.get('http://example.com/chat/{{chatId}}/members', {
+            status: 200,
+            headers: { 'x-total': '1' },
+            body: { members: [{ user_name: 'Dan' }] },
+        });
+        const fetchMembers = createResource('get', 'http://example.com/chat/{{chatId}}/members', {
+            inputMap: { page: 'p' },
+            headersMap: { token: 'x-token' },
+            parsers: [data => data.members.map(member => member.user_name)],
+        });
+
+        const members = await fetchMembers.call({ chatId: 5, page: 2, token: '1234' });
+
+        expect(members).toEqual(['Dan']);
+        expect(handler.calls).toEqual([
+            expect.objectContaining({
+                method: 'get',
+                url: 'http://example.com/chat/5/members',
+                params: { chatId: '5' },
+                query: { p: 2 },
+                headers: { 'x-token': '1234' },
+            }),
+        ]);
+        expect(server.requests).toHaveLength(1);
+    });
+
+    it('should support handler functions and url templates', async () => {
+        server.post('http://example.com/users/{id}', request => ({
+            status: 201,
+            body: { id: request.params.id, ...request.body },
+        }));
+        const createUser = createResource('post', 'http://example.com/users/{id}{?notify}', {
+            inputMap: { name: 'name' },
+        });
+
+        expect(await createUser.call({ id: 7, notify: true, name: 'Dan' })).toEqual({
+            id: '7',
+            name: 'Dan',
+        });
+        expect(server.requests[0].url).toEqual('http://example.com/users/7?notify=true');
+    });
+
+    it('should pass failure responses to parsers', async () => {
+        server.delete('http://example.com/users/{{id}}', { status: 404, body: 'missing' });
+        const parser = jest.fn(data => data);
+        const removeUser = createResource('delete', 'http://example.com/users/{{id}}', {
+            parsers: [parser],
+        });
+
+        await removeUser.call({ id: 1 });
+
+        expect(parser).toBeCalledWith(
+            'missing',
+            true,
+            { id: 1 },
+            expect.any(Object),
+            404,
+            expect.objectContaining({ attempts: 1, status: 404 })
+        );
+    });
+
+    it('should fail on unmatched requests', async () => {
+        server.get('http://example.com/users', { body: [] });
+        const fetchUser = createResource('get', 'http://example.com/users/{{id}}');
+
+        let error;
+        try {
+            await fetchUser.call({ id: 1 });
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error).toBeInstanceOf(UnmatchedRequestError);
+        expect(error).not.toBeInstanceOf(NetworkError);
+        expect(error.message).toEqual('No mock handler for GET http://example.com/users/1');
+        expect(server.unmatched).toHaveLength(1);
+        expect(() => server.verify()).toThrow('Unmatched requests: GET http://example.com/users/1');
+    });
+
+    it('should delay responses', async () => {
+        server.get('http://example.com/users', { body: [], delay: 20 });
+        const fetchUsers = createResource('get', 'http://example.com/users', { timeout: 5 });
+
+        await expect(fetchUsers.call()).rejects.toEqual(
+            expect.objectContaining({ name: 'TimeoutError' })
+        );
+    });
+
+    it('should match requests with custom interpolation pattern and explicit adapter', async () => {
+        const customServer = createMockServer({ interpolationPattern: /:(\w+)/gi });
+        customServer.on('PUT', 'http://example.com/users/:id', { body: 'updated' });
+        const createCustomResource = createResourceFactory({ adapter: customServer.adapter });
+
+        const updateUser = createCustomResource('put', 'http://example.com/users/{id}');
+
+        expect(await updateUser.call({ id: 3 })).toEqual('updated');
+        expect(customServer.requests).toHaveLength(1);
+        expect(server.requests).toHaveLength(0);
+    });
+
+    it('should reset handlers and requests', async () => {
+        server.get('http://example.com/users', { body: [] });
+        await createResource('get', 'http://example.com/users').call();
+
+        server.reset();
+
+        expect(server.requests).toEqual([]);
+        await expect(
+            createResource('get', 'http://example.com/users').call()
+        ).rejects.toBeInstanceOf(UnmatchedRequestError);
+    });
+
+    it('should restore the fetch adapter when uninstalled without install', async () => {
+        server.uninstall();
+        const otherServer = createMockServer();
+        otherServer.uninstall();
+        otherServer.uninstall();
+        global.fetch = jest.fn(() =>
+            Promise.resolve({
+                ok: true,
+                status: 200,
+                headers: { forEach: () => {} },
+                text: () => Promise.resolve('done'),
+            })
+        );
+
+        const result = await createResource('get', 'http://example.com/users').call();
+
+        expect(result).toEqual('done');
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        delete global.fetch;
+    });
+});
@@ -0,0 +1,138 @@
+const operators = {
+    '': { first: '', separator: ',', named: false, ifEmpty: '', reserved: false },
+    '+': { first: '', separator: ',', named: false, ifEmpty: '', reserved: true },
+    '#': { first: '#', separator: ',', named: false, ifEmpty: '', reserved: true },
+    '.': { first: '.', separator: '.', named: false, ifEmpty: '', reserved: false },
+    '/': { first: '/', separator: '/', named: false, ifEmpty: '', reserved: false },
+    ';': { first: ';', separator: ';', named: true, ifEmpty: '', reserved: false },
+    '?': { first: '?', separator: '&', named: true, ifEmpty: '=', reserved: false },
+    '&': { first: '&', separator: '&', named: true, ifEmpty: '=', reserved: false },
+};
+
+const requiredOperators = ['', '+'];
+
+const expressionPattern = /^([+#./;?&]?)((?:[\w%.]+(?::\d+|\*)?)(?:,[\w%.]+(?::\d+|\*)?)*)$/;
+
+function encodeUnreserved(value) {
+    return encodeURIComponent(value).replace(
+        /[!'()*]/g,
+        char =>
+            `%${char
+                .charCodeAt(0)
+                .toString(16)
+                .toUpperCase()}`
+    );
+}
+
+function encodeReserved(value) {
+    return encodeURI(value)
+        .replace(/%25([0-9A-F]{2})/gi, '%$1')
+        .replace(/%5B/gi, '[')
+        .replace(/%5D/gi, ']');
+}
+
+function isDefined(value) {
+    if (value === undefined || value === null) {
+        return false;
+    }
+    if (Array.isArray(value)) {
+        return value.length > 0;
+    }
+    if (typeof value === 'object') {
+        return Object.keys(value).length > 0;
+    }
+    return true;
+}
+
+function parseVarSpec(spec) {
+    const [name, prefix] = spec.replace(/\*$/, '').split(':');
+    return {
+        name,
+        explode: spec[spec.length - 1] === '*',
+        prefix: prefix ? Number(prefix) : undefined,
+    };
+}
+
+function expandVar(operator, { name, explode, prefix }, value) {
+    const { separator, named, ifEmpty, reserved } = operator;
+    const encode = reserved ? encodeReserved : encodeUnreserved;
+    const withName = (key, encoded) => {
+        if (!named) {
+            return encoded;
+        }
+        return encoded === '' ? `${key}${ifEmpty}` : `${key}=${encoded}`;
+    };
+
+    if (typeof value !== 'object') {
+        const stringValue = prefix ? String(value).substr(0, prefix) : String(value);
+        return withName(name, encode(stringValue));
+    }
+
+    if (Array.isArray(value)) {
+        if (explode) {
+            return value.map(item => withName(name, encode(String(item)))).join(separator);
+        }
+        return withName(name, value.map(item => encode(String(item))).join(','));
+    }
+
+    const keys = Object.keys(value).filter(key => value[key] !== undefined);
+    if (explode) {
+        return keys.map(key => `${encode(key)}=${encode(String(value[key]))}`).join(separator);
+    }
+    return withName(
+        name,
+        keys.map(key => `${encode(key)},${encode(String(value[key]))}`).join(',')
+    );
+}
+
+function toNonGlobalPattern(pattern) {
+    return new RegExp(pattern.source, pattern.flags.replace('g', ''));
+}
+
+export function expandUrl(template, values = {}, { interpolationPattern } = {}) {
+    const params = values || {};
+    const usedKeys = [];
+    const missingKeys = [];
+    const has = key => Object.prototype.hasOwnProperty.call(params, key);
+
+    let url = template;
+    if (interpolationPattern) {
+        url = url.replace(interpolationPattern, (match, name) => {
+            usedKeys.push(name);
+            if (!has(name)) {
+                missingKeys.push(name);
+                return match;
+            }
+            return encodeURIComponent(params[name]);
+        });
+    }
+
+    const legacyPattern = interpolationPattern && toNonGlobalPattern(interpolationPattern);
+    url = url.replace(/\{+[^{}]*\}+/g, match => {
+        const expression = /^\{([^{}]*)\}$/.exec(match);
+        const parts = expression && expressionPattern.exec(expression[1]);
+        if (!parts || (legacyPattern && legacyPattern.test(match))) {
+            return match;
+        }
+
+        const operator = operators[parts[1]];
+        const expanded = parts[2]
+            .split(',')
+            .map(parseVarSpec)
+            .reduce((result, varSpec) => {
+                usedKeys.push(varSpec.name);
+                const value = params[varSpec.name];
+                if (!isDefined(value)) {
+                    if (requiredOperators.indexOf(parts[1]) !== -1) {
+                        missingKeys.push(varSpec.name);
+                    }
+                    return result;
+                }
+                return [...result, expandVar(operator, varSpec, value)];
+            }, []);
+
+        return expanded.length > 0 ? `${operator.first}${expanded.join(operator.separator)}` : '';
+    });
+
+    return { url, usedKeys, missingKeys };
+}
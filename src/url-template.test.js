@@ -0,0 +1,82 @@
+import { expandUrl } from './url-template';
+
+const interpolationPattern = /\{\{(\w+)\}\}/gi;
+const values = {
+    id: 5,
+    path: '/foo/bar',
+    hello: 'Hello World!',
+    list: ['red', 'green', 'blue'],
+    keys: { semi: ';', dot: '.', comma: ',' },
+    empty: '',
+    page: 2,
+    limit: 10,
+};
+
+function expand(template, params = values) {
+    return expandUrl(template, params, { interpolationPattern }).url;
+}
+
+describe('Url Template Test', () => {
+    [
+        ['http://example.com/users/{{id}}', 'http://example.com/users/5'],
+        ['http://example.com/users/{id}', 'http://example.com/users/5'],
+        ['http://example.com/{hello}', 'http://example.com/Hello%20World%21'],
+        ['http://example.com{+path}/here', 'http://example.com/foo/bar/here'],
+        ['http://example.com/{#path}', 'http://example.com/#/foo/bar'],
+        ['http://example.com/file{.id}', 'http://example.com/file.5'],
+        ['http://example.com/users{/id}', 'http://example.com/users/5'],
+        ['http://example.com/users{/missing}', 'http://example.com/users'],
+        ['http://example.com/users{;id,empty}', 'http://example.com/users;id=5;empty'],
+        ['http://example.com/users{?page,limit}', 'http://example.com/users?page=2&limit=10'],
+        ['http://example.com/users{?page,missing}', 'http://example.com/users?page=2'],
+        ['http://example.com/users{?missing}', 'http://example.com/users'],
+        ['http://example.com/users?a=1{&page}', 'http://example.com/users?a=1&page=2'],
+        ['http://example.com/users{?empty}', 'http://example.com/users?empty='],
+        ['http://example.com/colors{?list}', 'http://example.com/colors?list=red,green,blue'],
+        [
+            'http://example.com/colors{?list*}',
+            'http://example.com/colors?list=red&list=green&list=blue',
+        ],
+        ['http://example.com/colors{/list*}', 'http://example.com/colors/red/green/blue'],
+        ['http://example.com/keys{?keys}', 'http://example.com/keys?keys=semi,%3B,dot,.,comma,%2C'],
+        ['http://example.com/keys{?keys*}', 'http://example.com/keys?semi=%3B&dot=.&comma=%2C'],
+        ['http://example.com/{hello:5}', 'http://example.com/Hello'],
+    ].forEach(([template, expected]) => {
+        it(`should expand ${template}`, () => {
+            expect(expand(template)).toEqual(expected);
+        });
+    });
+
+    it('should leave legacy placeholders without values unchanged', () => {
+        expect(expand('http://example.com/{{missing}}/{{id}}')).toEqual(
+            'http://example.com/{{missing}}/5'
+        );
+    });
+
+    it('should not expand expressions matching the interpolation pattern', () => {
+        const result = expandUrl(
+            'http://example.com/{id}/{missing}',
+            {},
+            {
+                interpolationPattern: /\{(\w+)\}/gi,
+            }
+        );
+
+        expect(result.url).toEqual('http://example.com/{id}/{missing}');
+    });
+
+    it('should report used and missing keys', () => {
+        const result = expandUrl(
+            'http://example.com/{{chatId}}/{userId}/members{/role}{?page,limit}',
+            { userId: 1, page: 1 },
+            { interpolationPattern }
+        );
+
+        expect(result.usedKeys).toEqual(['chatId', 'userId', 'role', 'page', 'limit']);
+        expect(result.missingKeys).toEqual(['chatId']);
+    });
+
+    it('should report missing simple expressions as missing', () => {
+        expect(expandUrl('http://example.com/{id}', {}).missingKeys).toEqual(['id']);
+    });
+});
@@ -0,0 +1,136 @@
+import { ValidationError } from './errors';
+
+function getType(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const valueType = getType(value);
+    if (type === 'integer') {
+        return valueType === 'number' && Number.isInteger(value);
+    }
+    return valueType === type;
+}
+
+function joinPath(path, key) {
+    if (typeof key === 'number') {
+        return `${path}[${key}]`;
+    }
+    return path ? `${path}.${key}` : key;
+}
+
+function validateValue(schema, value, path, errors) {
+    if (!schema) {
+        return;
+    }
+
+    if (value === undefined) {
+        return;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path, message: `must be of type ${types.join(' or ')}` });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(item => item === value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be greater than or equal to ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be less than or equal to ${schema.maximum}` });
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: `must be at least ${schema.minLength} characters long` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters long` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `must match pattern ${schema.pattern}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) =>
+                validateValue(schema.items, item, joinPath(path, index), errors)
+            );
+        }
+    }
+
+    if (getType(value) === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: joinPath(path, key), message: 'is required' });
+            }
+        });
+        Object.keys(value).forEach(key => {
+            if (properties[key]) {
+                validateValue(properties[key], value[key], joinPath(path, key), errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: joinPath(path, key), message: 'is not allowed' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateValue(schema.additionalProperties, value[key], joinPath(path, key), errors);
+            }
+        });
+    }
+}
+
+export function validateSchema(schema, value) {
+    const errors = [];
+    if (value === undefined && schema.type) {
+        errors.push({ path: '', message: 'is required' });
+    }
+    validateValue(schema, value, '', errors);
+    return errors;
+}
+
+function formatError({ path, message }) {
+    return path ? `"${path}" ${message}` : `value ${message}`;
+}
+
+export function assertSchema(schema, value, { validator = validateSchema, target, method, url }) {
+    if (!schema) {
+        return;
+    }
+    const errors = validator(schema, value) || [];
+    if (errors.length === 0) {
+        return;
+    }
+    throw new ValidationError(
+        `Invalid ${target} for ${method.toUpperCase()} ${url}: ${errors
+            .map(formatError)
+            .join(', ')}`,
+        {
+            target,
+            method,
+            url,
+            path: errors[0].path,
+            errors,
+        }
+    );
+}
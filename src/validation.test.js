@@ -0,0 +1,122 @@
+import { validateSchema, assertSchema } from './validation';
+import { ValidationError } from './errors';
+
+const userSchema = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', minLength: 2, maxLength: 5 },
+        age: { type: 'integer', minimum: 0, maximum: 120 },
+        role: { enum: ['admin', 'user'] },
+        email: { type: 'string', pattern: '^\\S+@\\S+$' },
+        tags: { type: 'array', maxItems: 2, items: { type: 'string' } },
+        profile: {
+            type: 'object',
+            required: ['city'],
+            additionalProperties: false,
+            properties: { city: { type: 'string' } },
+        },
+    },
+};
+
+describe('Validation Test', () => {
+    it('should return no errors for valid values', () => {
+        expect(
+            validateSchema(userSchema, {
+                name: 'Dan',
+                age: 23,
+                role: 'user',
+                email: 'dan@example.com',
+                tags: ['a', 'b'],
+                profile: { city: 'Tel Aviv' },
+                other: true,
+            })
+        ).toEqual([]);
+    });
+
+    it('should report errors with their paths', () => {
+        expect(
+            validateSchema(userSchema, {
+                age: 23.5,
+                role: 'guest',
+                email: 'dan',
+                tags: ['a', 2, 'c'],
+                profile: { country: 'Israel' },
+            })
+        ).toEqual([
+            { path: 'name', message: 'is required' },
+            { path: 'age', message: 'must be of type integer' },
+            { path: 'role', message: 'must be one of admin, user' },
+            { path: 'email', message: 'must match pattern ^\\S+@\\S+$' },
+            { path: 'tags', message: 'must have at most 2 items' },
+            { path: 'tags[1]', message: 'must be of type string' },
+            { path: 'profile.city', message: 'is required' },
+            { path: 'profile.country', message: 'is not allowed' },
+        ]);
+    });
+
+    it('should validate numbers and strings boundaries', () => {
+        expect(validateSchema(userSchema, { name: 'D', age: -1 })).toEqual([
+            { path: 'name', message: 'must be at least 2 characters long' },
+            { path: 'age', message: 'must be greater than or equal to 0' },
+        ]);
+        expect(validateSchema(userSchema, { name: 'Daniel', age: 121 })).toEqual([
+            { path: 'name', message: 'must be at most 5 characters long' },
+            { path: 'age', message: 'must be less than or equal to 120' },
+        ]);
+    });
+
+    it('should validate root values', () => {
+        expect(validateSchema({ type: ['array', 'null'] }, null)).toEqual([]);
+        expect(validateSchema({ type: 'array' }, {})).toEqual([
+            { path: '', message: 'must be of type array' },
+        ]);
+        expect(validateSchema({ type: 'object' }, undefined)).toEqual([
+            { path: '', message: 'is required' },
+        ]);
+    });
+
+    it('should throw a descriptive ValidationError', () => {
+        let error;
+        try {
+            assertSchema(
+                userSchema,
+                { age: 'old' },
+                {
+                    target: 'payload',
+                    method: 'post',
+                    url: 'http://example.com/users',
+                }
+            );
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.message).toEqual(
+            'Invalid payload for POST http://example.com/users: "name" is required, "age" must be of type integer'
+        );
+        expect(error.path).toEqual('name');
+        expect(error.target).toEqual('payload');
+        expect(error.url).toEqual('http://example.com/users');
+        expect(error.errors).toHaveLength(2);
+    });
+
+    it('should support custom validators', () => {
+        const validator = jest.fn(() => [{ path: 'a.b', message: 'is wrong' }]);
+
+        expect(() =>
+            assertSchema(
+                { custom: true },
+                { a: 1 },
+                {
+                    validator,
+                    target: 'response',
+                    method: 'get',
+                    url: 'http://example.com',
+                }
+            )
+        ).toThrow('Invalid response for GET http://example.com: "a.b" is wrong');
+        expect(validator).toHaveBeenCalledWith({ custom: true }, { a: 1 });
+    });
+});